@@ -0,0 +1,148 @@
+// Bulk imports write all rows or none: a write failing midway undoes the rows
+// already written and holds back their emails and screening.
+// Models are stubbed, so these run without a database.
+jest.mock('../services/plans', () => ({
+  ...jest.requireActual('../services/plans'),
+  listingUsage: jest.fn().mockResolvedValue({ used: 0, quota: null, remaining: null })
+}));
+jest.mock('../services/listingScreening', () => ({
+  ...jest.requireActual('../services/listingScreening'),
+  screenListing: jest.fn().mockResolvedValue([]),
+  clearFlags: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../services/searchAlerts', () => ({
+  ...jest.requireActual('../services/searchAlerts'),
+  notifyNewListing: jest.fn()
+}));
+jest.mock('../services/priceAlerts', () => ({
+  ...jest.requireActual('../services/priceAlerts'),
+  notifyPriceDrop: jest.fn()
+}));
+
+const Property = require('../models/Property');
+const User = require('../models/User');
+const { COLUMNS, importListings } = require('../services/listingImport');
+const { screenListing, clearFlags } = require('../services/listingScreening');
+const { notifyNewListing } = require('../services/searchAlerts');
+const { notifyPriceDrop } = require('../services/priceAlerts');
+
+// Admins skip moderation, which keeps the update row free of status changes
+const admin = new User({ name: 'Test admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+
+const rowValues = (externalRef, price) => ({
+  externalRef,
+  title: `Listing ${externalRef}`,
+  description: 'Close to the metro',
+  propertyType: 'Apartment',
+  listingType: 'Rent',
+  price,
+  areaValue: 900,
+  address: '1 Main Road',
+  city: 'Bengaluru',
+  state: 'Karnataka',
+  pincode: '560038',
+  latitude: 12.97,
+  longitude: 77.64
+});
+
+const csvFile = (rows) => {
+  const lines = [
+    COLUMNS.map(column => column.header).join(','),
+    ...rows.map(row => COLUMNS.map(column => (row[column.header] === undefined ? '' : row[column.header])).join(','))
+  ];
+  return { originalname: 'listings.csv', buffer: Buffer.from(lines.join('\n')) };
+};
+
+let existing;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+
+  existing = new Property({
+    title: 'Listing A1',
+    description: 'Close to the metro',
+    propertyType: 'Apartment',
+    listingType: 'Rent',
+    price: 30000,
+    area: { value: 900 },
+    location: {
+      address: '1 Main Road',
+      city: 'Bengaluru',
+      state: 'Karnataka',
+      pincode: '560038',
+      coordinates: { type: 'Point', coordinates: [77.64, 12.97] }
+    },
+    externalRef: 'A1',
+    owner: admin._id,
+    status: 'active'
+  });
+
+  jest.spyOn(Property, 'find').mockResolvedValue([existing]);
+  jest.spyOn(Property, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+    const updated = new Property(existing.toObject());
+    updated.set(update);
+    return updated;
+  });
+  jest.spyOn(Property, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(Property, 'replaceOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('importListings', () => {
+  test('rolls back the rows written before a failing one', async () => {
+    const created = [];
+    jest.spyOn(Property, 'create')
+      .mockImplementationOnce(async (data) => {
+        const property = new Property(data);
+        created.push(property);
+        return property;
+      })
+      .mockRejectedValueOnce(new Error('connection reset'));
+
+    const file = csvFile([rowValues('A1', 25000), rowValues('B1', 20000), rowValues('C1', 22000)]);
+
+    await expect(importListings(file, admin, { dryRun: false }))
+      .rejects.toThrow('Row 4 could not be saved, so the import was rolled back: connection reset');
+
+    expect(Property.deleteOne).toHaveBeenCalledWith({ _id: created[0]._id });
+    expect(clearFlags).toHaveBeenCalledWith(created[0]._id);
+    expect(Property.replaceOne).toHaveBeenCalledWith(
+      { _id: existing._id },
+      expect.objectContaining({ price: 30000, externalRef: 'A1' })
+    );
+    // Undone newest first: the created listing goes before the update is restored
+    expect(Property.deleteOne.mock.invocationCallOrder[0])
+      .toBeLessThan(Property.replaceOne.mock.invocationCallOrder[0]);
+
+    expect(screenListing).not.toHaveBeenCalled();
+    expect(notifyNewListing).not.toHaveBeenCalled();
+    expect(notifyPriceDrop).not.toHaveBeenCalled();
+  });
+
+  test('screens and announces the rows once all of them are written', async () => {
+    jest.spyOn(Property, 'create').mockImplementation(async data => new Property(data));
+
+    const file = csvFile([rowValues('A1', 25000), rowValues('B1', 20000)]);
+    const report = await importListings(file, admin, { dryRun: false });
+
+    expect(report.applied).toBe(true);
+    expect(report.summary).toMatchObject({ rows: 2, create: 1, update: 1 });
+    expect(screenListing).toHaveBeenCalledTimes(2);
+    expect(notifyNewListing).toHaveBeenCalledTimes(1);
+    expect(notifyPriceDrop).toHaveBeenCalledWith(expect.anything(), 30000);
+    expect(Property.deleteOne).not.toHaveBeenCalled();
+    expect(Property.replaceOne).not.toHaveBeenCalled();
+  });
+
+  test('writes nothing when a row is invalid', async () => {
+    jest.spyOn(Property, 'create');
+
+    const file = csvFile([rowValues('A1', 25000), { ...rowValues('B1', 20000), price: 'cheap' }]);
+    const report = await importListings(file, admin, { dryRun: false });
+
+    expect(report.applied).toBe(false);
+    expect(report.rows[1].errors).toEqual(expect.arrayContaining([expect.objectContaining({ column: 'price' })]));
+    expect(Property.create).not.toHaveBeenCalled();
+    expect(Property.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
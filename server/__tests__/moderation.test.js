@@ -0,0 +1,210 @@
+// Listing status transitions: the workflow map, the owner's sold/rented/relist
+// route and the admin status route. Models are stubbed, so these run without a database.
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../services/sessions', () => ({
+  ...jest.requireActual('../services/sessions'),
+  isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/mailer', () => ({
+  ...jest.requireActual('../services/mailer'),
+  sendTemplate: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../services/searchAlerts', () => ({
+  ...jest.requireActual('../services/searchAlerts'),
+  notifyNewListing: jest.fn()
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const {
+  ModerationError,
+  canTransition,
+  canOwnerTransition,
+  changeStatus
+} = require('../services/moderation');
+
+const app = express();
+app.use(express.json());
+app.use('/api/properties', require('../routes/property.routes'));
+app.use('/api/admin', require('../routes/admin.routes'));
+
+const makeUser = role => new User({
+  name: `Test ${role}`,
+  email: `${role}@example.com`,
+  password: 'secret123',
+  role,
+  isVerified: true
+});
+
+const tokenFor = user => `Bearer ${jwt.sign(
+  { id: user._id, sid: new mongoose.Types.ObjectId() },
+  process.env.JWT_SECRET
+)}`;
+
+const owner = makeUser('user');
+const stranger = makeUser('agent');
+const admin = makeUser('admin');
+const users = [owner, stranger, admin];
+
+const listing = status => new Property({
+  title: 'Sunny 2BHK',
+  description: 'Close to the metro',
+  propertyType: 'Apartment',
+  listingType: 'Rent',
+  price: 25000,
+  area: { value: 900 },
+  location: { address: '1 Main Road', city: 'Bengaluru', state: 'Karnataka', pincode: '560038' },
+  owner: owner._id,
+  status
+});
+
+// Resolves like a query, and also supports the .select() chained on it
+const query = value => ({
+  select: () => Promise.resolve(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+let property;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(User, 'findById').mockImplementation(
+    id => query(users.find(user => user._id.equals(id)) || null)
+  );
+  jest.spyOn(Property, 'findById').mockImplementation(async () => property);
+  jest.spyOn(Property, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(Property.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+});
+
+describe('transition rules', () => {
+  test.each([
+    ['pending', 'active', true],
+    ['pending', 'sold', false],
+    ['active', 'sold', true],
+    ['active', 'active', false],
+    ['rejected', 'active', false],
+    ['rejected', 'pending', true],
+    ['changes-requested', 'active', false],
+    ['sold', 'active', true]
+  ])('%s -> %s allowed: %p', (from, to, allowed) => {
+    expect(canTransition(from, to)).toBe(allowed);
+  });
+
+  test.each([
+    ['active', 'sold', true],
+    ['active', 'rented', true],
+    ['sold', 'pending', true],
+    ['pending', 'active', false],
+    ['rejected', 'pending', false],
+    ['sold', 'active', false]
+  ])('owner %s -> %s allowed: %p', (from, to, allowed) => {
+    expect(canOwnerTransition(from, to)).toBe(allowed);
+  });
+
+  test('changeStatus refuses moves the workflow does not allow, without saving', async () => {
+    property = listing('rejected');
+
+    await expect(changeStatus(property, 'active', admin, 'ok')).rejects.toBeInstanceOf(ModerationError);
+    await expect(changeStatus(property, 'rejected', admin, 'again')).rejects.toThrow('already rejected');
+    expect(property.save).not.toHaveBeenCalled();
+    expect(property.status).toBe('rejected');
+  });
+});
+
+describe('PUT /api/properties/:id/status', () => {
+  test('lets the owner mark a live listing sold', async () => {
+    property = listing('active');
+
+    const res = await request(app)
+      .put(`/api/properties/${property._id}/status`)
+      .set('Authorization', tokenFor(owner))
+      .send({ status: 'sold' });
+
+    expect(res.status).toBe(200);
+    expect(property.status).toBe('sold');
+    expect(property.statusHistory[0]).toMatchObject({ from: 'active', to: 'sold' });
+    expect(property.save).toHaveBeenCalled();
+  });
+
+  test('sends a relisted listing back to review', async () => {
+    property = listing('rented');
+
+    const res = await request(app)
+      .put(`/api/properties/${property._id}/status`)
+      .set('Authorization', tokenFor(owner))
+      .send({ status: 'pending' });
+
+    expect(res.status).toBe(200);
+    expect(property.status).toBe('pending');
+  });
+
+  test('does not let the owner approve their own listing', async () => {
+    property = listing('pending');
+
+    const res = await request(app)
+      .put(`/api/properties/${property._id}/status`)
+      .set('Authorization', tokenFor(owner))
+      .send({ status: 'active' });
+
+    expect(res.status).toBe(400);
+    expect(property.status).toBe('pending');
+  });
+
+  test('refuses closing a listing that is not live', async () => {
+    property = listing('changes-requested');
+
+    const res = await request(app)
+      .put(`/api/properties/${property._id}/status`)
+      .set('Authorization', tokenFor(owner))
+      .send({ status: 'sold' });
+
+    expect(res.status).toBe(400);
+    expect(property.save).not.toHaveBeenCalled();
+  });
+
+  test('is only for the owner', async () => {
+    property = listing('active');
+
+    const res = await request(app)
+      .put(`/api/properties/${property._id}/status`)
+      .set('Authorization', tokenFor(stranger))
+      .send({ status: 'sold' });
+
+    expect(res.status).toBe(403);
+    expect(property.status).toBe('active');
+  });
+});
+
+describe('PUT /api/admin/properties/:propertyId/status', () => {
+  test('answers 400 for a move the workflow does not allow', async () => {
+    property = listing('rejected');
+
+    const res = await request(app)
+      .put(`/api/admin/properties/${property._id}/status`)
+      .set('Authorization', tokenFor(admin))
+      .send({ status: 'sold' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('cannot be moved to sold');
+    expect(property.status).toBe('rejected');
+  });
+
+  test('is only for admins', async () => {
+    property = listing('pending');
+
+    const res = await request(app)
+      .put(`/api/admin/properties/${property._id}/status`)
+      .set('Authorization', tokenFor(owner))
+      .send({ status: 'active' });
+
+    expect(res.status).toBe(403);
+    expect(property.status).toBe('pending');
+  });
+});
@@ -0,0 +1,80 @@
+// Forgot-password answers the same way, just as fast, whether or not the
+// email is registered. Models and the mailer are stubbed.
+jest.mock('../services/mailer', () => ({
+  ...jest.requireActual('../services/mailer'),
+  sendTemplate: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const { sendTemplate } = require('../services/mailer');
+const { hashToken } = require('../utils/tokens');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../routes/auth.routes'));
+
+const GENERIC_MESSAGE = 'If an account exists for that email, a password reset link has been sent';
+
+// Let the reset work started after the response run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+let user;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  sendTemplate.mockReset();
+
+  user = new User({ name: 'Test user', email: 'user@example.com', password: 'secret123' });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => (email === user.email ? user : null));
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  test('answers before the reset email is sent', async () => {
+    // An email that never finishes sending would hang the request if it were awaited
+    sendTemplate.mockReturnValue(new Promise(() => {}));
+
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'user@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe(GENERIC_MESSAGE);
+
+    await flush();
+    expect(sendTemplate).toHaveBeenCalledWith('resetPassword', user.email, expect.any(Object));
+    const { link } = sendTemplate.mock.calls[0][2];
+    const token = new URL(link).searchParams.get('token');
+    expect(user.resetPasswordToken).toBe(hashToken(token));
+    expect(user.resetPasswordExpire.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('answers the same way for an unknown email', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe(GENERIC_MESSAGE);
+
+    await flush();
+    expect(sendTemplate).not.toHaveBeenCalled();
+  });
+
+  test('answers the same way when the email fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sendTemplate.mockRejectedValue(new Error('SMTP down'));
+
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'user@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe(GENERIC_MESSAGE);
+
+    await flush();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining(user.email), 'SMTP down');
+  });
+});
@@ -0,0 +1,151 @@
+// Mass-assignment protection on the profile and listing update routes.
+// Models are stubbed, so these run without a database.
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../services/sessions', () => ({
+  ...jest.requireActual('../services/sessions'),
+  isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/listingScreening', () => ({
+  ...jest.requireActual('../services/listingScreening'),
+  screenListing: jest.fn().mockResolvedValue([])
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const Property = require('../models/Property');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', require('../routes/user.routes'));
+app.use('/api/properties', require('../routes/property.routes'));
+
+const makeUser = role => new User({
+  name: `Test ${role}`,
+  email: `${role}@example.com`,
+  password: 'secret123',
+  role,
+  isVerified: true
+});
+
+const tokenFor = user => jwt.sign(
+  { id: user._id, sid: new mongoose.Types.ObjectId() },
+  process.env.JWT_SECRET
+);
+
+const owner = makeUser('user');
+const admin = makeUser('admin');
+const users = [owner, admin];
+
+// PUT replaces the listing, so requests carry every required field
+const listingBody = {
+  title: 'Sunny 2BHK',
+  description: 'Close to the metro',
+  propertyType: 'Apartment',
+  listingType: 'Rent',
+  price: 25000,
+  area: { value: 900 },
+  location: {
+    address: '1 Main Road',
+    city: 'Bengaluru',
+    state: 'Karnataka',
+    pincode: '560038',
+    coordinates: { coordinates: [77.64, 12.97] }
+  }
+};
+
+const listing = () => new Property({ ...listingBody, owner: owner._id, status: 'active' });
+
+// Resolves like a query, and also supports the .select() chained on it
+const query = value => ({
+  select: () => Promise.resolve(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(User, 'findById').mockImplementation(
+    id => query(users.find(user => user._id.equals(id)) || null)
+  );
+});
+
+describe('PUT /api/users/profile', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => query({ _id: id, ...update }));
+  });
+
+  test.each([
+    ['role', { role: 'admin' }],
+    ['isVerified', { isVerified: true }]
+  ])('rejects %s', async (field, body) => {
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${tokenFor(owner)}`)
+      .send({ name: 'New Name', ...body });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toContain(field);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('updates allowed fields and drops unknown ones', async () => {
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${tokenFor(owner)}`)
+      .send({ name: 'New Name', nickname: 'ignored' });
+
+    expect(res.status).toBe(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      owner.id,
+      { name: 'New Name' },
+      expect.any(Object)
+    );
+  });
+});
+
+describe('PUT /api/properties/:id', () => {
+  let property;
+
+  beforeEach(() => {
+    property = listing();
+    jest.spyOn(Property, 'findById').mockResolvedValue(property);
+    jest.spyOn(Property, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      property.set(update);
+      return property;
+    });
+  });
+
+  test.each([
+    ['owner', { owner: new mongoose.Types.ObjectId().toString() }],
+    ['status', { status: 'active' }],
+    ['featured', { featured: true }],
+    ['views', { views: 10000 }]
+  ])('rejects %s from the owner', async (field, body) => {
+    const res = await request(app)
+      .put(`/api/properties/${property._id}`)
+      .set('Authorization', `Bearer ${tokenFor(owner)}`)
+      .send({ ...listingBody, price: 26000, ...body });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toContain(field);
+    expect(Property.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('accepts featured from an admin', async () => {
+    const res = await request(app)
+      .put(`/api/properties/${property._id}`)
+      .set('Authorization', `Bearer ${tokenFor(admin)}`)
+      .send({ ...listingBody, featured: true });
+
+    expect(res.status).toBe(200);
+    expect(Property.findByIdAndUpdate).toHaveBeenCalledWith(
+      property._id.toString(),
+      expect.objectContaining({ featured: true }),
+      expect.any(Object)
+    );
+    expect(res.body.data.featured).toBe(true);
+  });
+});
@@ -0,0 +1,138 @@
+// Refresh token rotation, reuse detection and session revocation.
+// The Session model is stubbed, so these run without a database.
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../services/sessions', () => ({
+  ...jest.requireActual('../services/sessions'),
+  isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+const { SessionError, rotateSession } = require('../services/sessions');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../routes/auth.routes'));
+
+const user = new User({
+  name: 'Test user',
+  email: 'user@example.com',
+  password: 'secret123',
+  isVerified: true
+});
+
+let stored;
+
+const refreshTokenFor = secret => `${stored._id}.${secret}`;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    refreshTokenHash: hashToken('first'),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null
+  };
+
+  // Reads hand out copies, so two requests racing each other both see the
+  // session as it was before either of them wrote
+  jest.spyOn(Session, 'findById').mockImplementation(() => ({
+    populate: () => Promise.resolve({ ...stored, user })
+  }));
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (stored.revokedAt || stored.refreshTokenHash !== filter.refreshTokenHash) return null;
+    Object.assign(stored, update.$set);
+    return { ...stored };
+  });
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    if (stored.revokedAt || stored.previousTokenHash !== filter.previousTokenHash) {
+      return { matchedCount: 0 };
+    }
+    Object.assign(stored, update);
+    return { matchedCount: 1 };
+  });
+});
+
+describe('rotateSession', () => {
+  test('swaps the refresh token for a new one', async () => {
+    const tokens = await rotateSession(refreshTokenFor('first'));
+
+    const [sessionId, secret] = tokens.refreshToken.split('.');
+    expect(sessionId).toBe(stored._id.toString());
+    expect(secret).not.toBe('first');
+    expect(stored.refreshTokenHash).toBe(hashToken(secret));
+    expect(stored.previousTokenHash).toBe(hashToken('first'));
+    expect(jwt.verify(tokens.token, process.env.JWT_SECRET).sid).toBe(stored._id.toString());
+  });
+
+  test('revokes the session when a rotated token is used again', async () => {
+    await rotateSession(refreshTokenFor('first'));
+
+    await expect(rotateSession(refreshTokenFor('first'))).rejects.toBeInstanceOf(SessionError);
+    expect(stored.revokedReason).toBe('refresh-token-reuse');
+  });
+
+  test('lets only one of two concurrent refreshes with the same token through', async () => {
+    const results = await Promise.allSettled([
+      rotateSession(refreshTokenFor('first')),
+      rotateSession(refreshTokenFor('first'))
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const [failed] = results.filter(result => result.status === 'rejected');
+    expect(failed.reason).toBeInstanceOf(SessionError);
+    expect(stored.revokedReason).toBe('refresh-token-reuse');
+  });
+
+  test('rejects unknown secrets without revoking the session', async () => {
+    await expect(rotateSession(refreshTokenFor('guess'))).rejects.toBeInstanceOf(SessionError);
+    expect(stored.revokedAt).toBeNull();
+  });
+
+  test.each([undefined, 'no-dot', 'abc.def'])('rejects the malformed token %p', async (token) => {
+    await expect(rotateSession(token)).rejects.toBeInstanceOf(SessionError);
+    expect(Session.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/auth/sessions/:sessionId', () => {
+  const authorization = () => `Bearer ${jwt.sign(
+    { id: user._id, sid: new mongoose.Types.ObjectId() },
+    process.env.JWT_SECRET
+  )}`;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  test('answers 404 for a malformed id', async () => {
+    const res = await request(app)
+      .delete('/api/auth/sessions/not-an-id')
+      .set('Authorization', authorization());
+
+    expect(res.status).toBe(404);
+    expect(Session.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('revokes one of the user\'s sessions', async () => {
+    Session.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${stored._id}`)
+      .set('Authorization', authorization());
+
+    expect(res.status).toBe(200);
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: stored._id.toString(), user: user._id.toString() }),
+      expect.objectContaining({ revokedReason: 'logout' })
+    );
+  });
+});
@@ -0,0 +1,207 @@
+// Hidden listings (in review, rejected, sent back) stay out of reach for
+// everyone but their owner and admins: detail page, inquiries and replies in
+// existing conversations. Models are stubbed, so these run without a database.
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../services/sessions', () => ({
+  ...jest.requireActual('../services/sessions'),
+  isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/analytics', () => ({
+  ...jest.requireActual('../services/analytics'),
+  trackEvent: jest.fn()
+}));
+jest.mock('../services/conversations', () => ({
+  ...jest.requireActual('../services/conversations'),
+  findOrStartConversation: jest.fn(),
+  postMessage: jest.fn()
+}));
+jest.mock('../services/leads', () => ({
+  ...jest.requireActual('../services/leads'),
+  ensureLead: jest.fn()
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const Conversation = require('../models/Conversation');
+const { canViewProperty } = require('../utils/visibility');
+const { findOrStartConversation, postMessage } = require('../services/conversations');
+
+const app = express();
+app.use(express.json());
+app.use('/api/properties', require('../routes/property.routes'));
+app.use('/api/conversations', require('../routes/conversation.routes'));
+
+const makeUser = role => new User({
+  name: `Test ${role}`,
+  email: `${role}@example.com`,
+  password: 'secret123',
+  role,
+  isVerified: true
+});
+
+const tokenFor = user => `Bearer ${jwt.sign(
+  { id: user._id, sid: new mongoose.Types.ObjectId() },
+  process.env.JWT_SECRET
+)}`;
+
+const owner = makeUser('user');
+const seeker = makeUser('agent');
+const admin = makeUser('admin');
+const users = [owner, seeker, admin];
+
+const listing = status => new Property({
+  title: 'Sunny 2BHK',
+  description: 'Close to the metro',
+  propertyType: 'Apartment',
+  listingType: 'Rent',
+  price: 25000,
+  area: { value: 900 },
+  location: { address: '1 Main Road', city: 'Bengaluru', state: 'Karnataka', pincode: '560038' },
+  owner: owner._id,
+  status
+});
+
+// Resolves like a query, and also supports .select()/.populate() chained on it
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+let property;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  findOrStartConversation.mockReset();
+  postMessage.mockReset().mockResolvedValue({ body: 'Hello' });
+
+  jest.spyOn(User, 'findById').mockImplementation(
+    id => query(users.find(user => user._id.equals(id)) || null)
+  );
+  jest.spyOn(Property, 'findById').mockImplementation(() => query(property));
+  jest.spyOn(Property.prototype, 'populate').mockImplementation(function populate() {
+    return Promise.resolve(this);
+  });
+});
+
+describe('canViewProperty', () => {
+  test.each([
+    ['active', 'anyone', null, true],
+    ['sold', 'anyone', null, true],
+    ['pending', 'anyone', null, false],
+    ['rejected', 'another user', seeker, false],
+    ['changes-requested', 'another user', seeker, false],
+    ['pending', 'its owner', owner, true],
+    ['rejected', 'an admin', admin, true]
+  ])('%s listing seen by %s', (status, label, viewer, visible) => {
+    expect(canViewProperty(listing(status), viewer)).toBe(visible);
+  });
+});
+
+describe('GET /api/properties/:id', () => {
+  test('hides a listing in review from anonymous visitors', async () => {
+    property = listing('pending');
+
+    const res = await request(app).get(`/api/properties/${property._id}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Property not found');
+  });
+
+  test('shows it to the owner', async () => {
+    property = listing('pending');
+
+    const res = await request(app)
+      .get(`/api/properties/${property._id}`)
+      .set('Authorization', tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data._id).toBe(property._id.toString());
+  });
+
+  test('keeps moderation details from other visitors', async () => {
+    property = listing('active');
+    property.moderation = { reason: 'Blurry photos' };
+
+    const res = await request(app)
+      .get(`/api/properties/${property._id}`)
+      .set('Authorization', tokenFor(seeker));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.moderation).toBeUndefined();
+    expect(res.body.data.statusHistory).toBeUndefined();
+  });
+});
+
+describe('POST /api/properties/:id/inquiries', () => {
+  test.each(['pending', 'rejected', 'changes-requested'])('refuses inquiries on a %s listing', async (status) => {
+    property = listing(status);
+
+    const res = await request(app)
+      .post(`/api/properties/${property._id}/inquiries`)
+      .set('Authorization', tokenFor(seeker))
+      .send({ message: 'Is it available?' });
+
+    expect(res.status).toBe(404);
+    expect(findOrStartConversation).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/conversations/:conversationId/messages', () => {
+  const conversationAbout = status => ({
+    _id: new mongoose.Types.ObjectId(),
+    property: { _id: new mongoose.Types.ObjectId(), title: 'Sunny 2BHK', status },
+    seeker: seeker._id,
+    owner: owner._id,
+    participantRole: Conversation.schema.methods.participantRole
+  });
+
+  let conversation;
+
+  beforeEach(() => {
+    jest.spyOn(Conversation, 'findById').mockImplementation(() => query(conversation));
+  });
+
+  test('stops the seeker from writing about a listing that was since rejected', async () => {
+    conversation = conversationAbout('rejected');
+
+    const res = await request(app)
+      .post(`/api/conversations/${conversation._id}/messages`)
+      .set('Authorization', tokenFor(seeker))
+      .send({ message: 'Still available?' });
+
+    expect(res.status).toBe(404);
+    expect(postMessage).not.toHaveBeenCalled();
+  });
+
+  test('lets the owner still answer', async () => {
+    conversation = conversationAbout('rejected');
+
+    const res = await request(app)
+      .post(`/api/conversations/${conversation._id}/messages`)
+      .set('Authorization', tokenFor(owner))
+      .send({ message: 'It is off the market for now' });
+
+    expect(res.status).toBe(201);
+    expect(postMessage).toHaveBeenCalled();
+  });
+
+  test('lets the seeker write about a live listing', async () => {
+    conversation = conversationAbout('active');
+
+    const res = await request(app)
+      .post(`/api/conversations/${conversation._id}/messages`)
+      .set('Authorization', tokenFor(seeker))
+      .send({ message: 'Can I visit on Sunday?' });
+
+    expect(res.status).toBe(201);
+  });
+});
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
 
 exports.protect = async (req, res, next) => {
   try {
@@ -21,8 +22,17 @@ exports.protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject tokens whose session was logged out or revoked
+      if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+
       // Get user from token
       req.user = await User.findById(decoded.id);
+      req.sessionId = decoded.sid;
       
       if (!req.user) {
         return res.status(401).json({
@@ -43,6 +53,30 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid access token is sent, but let anonymous requests through
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    const { authorization } = req.headers;
+
+    if (authorization && authorization.startsWith('Bearer')) {
+      try {
+        const decoded = jwt.verify(authorization.split(' ')[1], process.env.JWT_SECRET);
+
+        if (decoded.sid && await isSessionActive(decoded.sid)) {
+          req.user = (await User.findById(decoded.id)) || undefined;
+          req.sessionId = decoded.sid;
+        }
+      } catch (error) {
+        // A bad or expired token is treated as an anonymous request
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -54,4 +88,15 @@ exports.authorize = (...roles) => {
     }
     next();
   };
-}; 
\ No newline at end of file
+}; 
+
+// Require a verified email address
+exports.requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first'
+    });
+  }
+  next();
+};
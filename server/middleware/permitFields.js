@@ -0,0 +1,124 @@
+// Field-level write permissions for request bodies.
+// Each model lists the fields a role may write and the protected fields that
+// must never come from a client without that role. Protected fields in a body
+// are rejected with a 403; anything else outside the allowlist is stripped.
+
+const PROPERTY_FIELDS = [
+  'title',
+  'description',
+  'propertyType',
+  'listingType',
+  'price',
+  'currency',
+  'area',
+  'bedrooms',
+  'bathrooms',
+  'parking',
+  'furnishing',
+  'floor',
+  'totalFloors',
+  'age',
+  'facing',
+  'location',
+  'amenities',
+  'documents'
+];
+
+const USER_FIELDS = ['name', 'phone', 'profileImage'];
+const AGENT_FIELDS = [...USER_FIELDS, 'agentProfile'];
+
+const WRITE_PERMISSIONS = {
+  Property: {
+    protected: [
+      '_id',
+      'owner',
+      'status',
+      'featured',
+      'featuredUntil',
+      'views',
+      'areaSqFt',
+      'pricePerSqFt',
+      'priceHistory',
+      'priceReducedAt',
+      'heldPriceDropFrom',
+      'externalRef',
+      'images',
+      'inquiries',
+      'moderation',
+      'statusHistory',
+      'createdAt',
+      'updatedAt'
+    ],
+    roles: {
+      user: PROPERTY_FIELDS,
+      agent: PROPERTY_FIELDS,
+      admin: [...PROPERTY_FIELDS, 'featured', 'featuredUntil']
+    }
+  },
+  User: {
+    protected: [
+      '_id',
+      'email',
+      'password',
+      'role',
+      'isVerified',
+      'verificationToken',
+      'verificationTokenExpire',
+      'verificationSentAt',
+      'resetPasswordToken',
+      'resetPasswordExpire',
+      'favorites',
+      'savedSearches',
+      'priceDropAlerts',
+      'subscription',
+      'properties',
+      'createdAt',
+      'updatedAt'
+    ],
+    roles: {
+      user: USER_FIELDS,
+      agent: AGENT_FIELDS,
+      admin: USER_FIELDS
+    }
+  }
+};
+
+// Split a body into the fields the role may write and the protected ones it tried to set
+exports.filterWritable = (model, role, body = {}) => {
+  const rules = WRITE_PERMISSIONS[model];
+  if (!rules) {
+    throw new Error(`No write permissions defined for ${model}`);
+  }
+
+  const allowed = rules.roles[role] || [];
+  const data = {};
+  const forbidden = [];
+
+  Object.keys(body).forEach((field) => {
+    if (allowed.includes(field)) {
+      data[field] = body[field];
+    } else if (rules.protected.includes(field) || field.startsWith('$') || field.includes('.')) {
+      // Operators and dotted paths could reach protected fields indirectly
+      forbidden.push(field);
+    }
+  });
+
+  return { data, forbidden };
+};
+
+// Replace req.body with only the fields the current user's role may write
+exports.permitFields = model => (req, res, next) => {
+  const { data, forbidden } = exports.filterWritable(model, req.user.role, req.body);
+
+  if (forbidden.length) {
+    return res.status(403).json({
+      success: false,
+      message: `Not allowed to set: ${forbidden.join(', ')}`
+    });
+  }
+
+  req.body = data;
+  next();
+};
+
+exports.WRITE_PERMISSIONS = WRITE_PERMISSIONS;
@@ -0,0 +1,16 @@
+const { body } = require('express-validator');
+
+// Rules for a listing body, shared by the create/update routes and bulk imports
+exports.propertyValidation = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('propertyType').isIn(['Apartment', 'House', 'Villa', 'Plot', 'Commercial', 'Farmhouse']).withMessage('Invalid property type'),
+  body('listingType').isIn(['Sale', 'Rent']).withMessage('Invalid listing type'),
+  body('price').isNumeric().withMessage('Price must be a number'),
+  body('area.value').isNumeric().withMessage('Area value must be a number'),
+  body('location.address').trim().notEmpty().withMessage('Address is required'),
+  body('location.city').trim().notEmpty().withMessage('City is required'),
+  body('location.state').trim().notEmpty().withMessage('State is required'),
+  body('location.pincode').trim().notEmpty().withMessage('Pincode is required'),
+  body('location.locality').optional().trim()
+];
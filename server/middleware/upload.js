@@ -0,0 +1,100 @@
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// What sharp reports for the same formats, read from the file itself
+const ALLOWED_IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_IMAGES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Only JPEG, PNG and WebP images are allowed';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// The declared mimetype comes from the client, so check the bytes are really an allowed image
+const isAllowedImage = async (file) => {
+  try {
+    const { format } = await sharp(file.buffer).metadata();
+    return ALLOWED_IMAGE_FORMATS.includes(format);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Accept property photos from the `images` field and report upload errors as 400s
+exports.uploadImages = (req, res, next) => {
+  imageUpload.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, async (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    if (err) return next(err);
+
+    try {
+      for (const file of req.files || []) {
+        if (!(await isAllowedImage(file))) {
+          return res.status(400).json({
+            success: false,
+            message: `${file.originalname} is not a valid JPEG, PNG or WebP image`
+          });
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024; // 5MB
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SPREADSHEET_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    // Browsers disagree on CSV mimetypes, so go by extension
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Only .csv and .xlsx files are allowed';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Accept one listings spreadsheet from the `file` field
+exports.uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    if (err) return next(err);
+    next();
+  });
+};
+
+exports.MAX_IMAGE_SIZE = MAX_IMAGE_SIZE;
+exports.ALLOWED_IMAGE_TYPES = ALLOWED_IMAGE_TYPES;
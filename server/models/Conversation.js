@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One thread per (property, seeker); messages live in the Message collection
+const conversationSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  seeker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    body: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Messages each side has not read yet
+  seekerUnread: {
+    type: Number,
+    default: 0
+  },
+  ownerUnread: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ property: 1, seeker: 1 }, { unique: true });
+conversationSchema.index({ seeker: 1, lastMessageAt: -1 });
+conversationSchema.index({ owner: 1, lastMessageAt: -1 });
+
+// Which side of the conversation a user is on, or null if not a participant
+conversationSchema.methods.participantRole = function(userId) {
+  const idOf = ref => (ref._id || ref).toString();
+  if (idOf(this.seeker) === userId.toString()) return 'seeker';
+  if (idOf(this.owner) === userId.toString()) return 'owner';
+  return null;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
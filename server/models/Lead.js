@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const LEAD_STATUSES = ['new', 'contacted', 'site-visit', 'negotiating', 'won', 'lost'];
+
+// Sales pipeline entry for one inquiry conversation
+const leadSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+    unique: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  seeker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Listing owner; leads are only visible to them (and admins)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assignedAgent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: LEAD_STATUSES,
+    default: 'new'
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Private to the owner, never shown to the seeker
+  notes: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  followUps: [{
+    dueAt: {
+      type: Date,
+      required: true
+    },
+    note: String,
+    done: {
+      type: Boolean,
+      default: false
+    },
+    remindedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+leadSchema.index({ owner: 1, status: 1, createdAt: -1 });
+leadSchema.index({ 'followUps.dueAt': 1, 'followUps.done': 1 });
+
+leadSchema.statics.STATUSES = LEAD_STATUSES;
+
+module.exports = mongoose.model('Lead', leadSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['impression', 'view', 'phone-reveal', 'inquiry', 'favorite'];
+const RETENTION_DAYS = 400;
+
+// One visitor's interaction with a listing, at most one per type and day
+const listingEventSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  // Copied from the listing so owners' reports don't need a join
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  // User id for logged-in visitors, otherwise a hash of IP and user agent
+  visitor: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // UTC date (YYYY-MM-DD) the event is de-duplicated and bucketed on
+  day: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+listingEventSchema.index({ property: 1, type: 1, visitor: 1, day: 1 }, { unique: true });
+listingEventSchema.index({ property: 1, createdAt: -1 });
+listingEventSchema.index({ owner: 1, createdAt: -1 });
+listingEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+listingEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('ListingEvent', listingEventSchema);
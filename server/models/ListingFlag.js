@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A reason for moderators to look twice at a listing, raised by listing screening
+const listingFlagSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['duplicate', 'price-outlier'],
+    required: true
+  },
+  // The existing listing a duplicate matches
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+  reasons: [String],
+  // Title and description overlap with the match, 0-1
+  similarity: Number,
+  // How the listing's price per sq ft compares with its locality
+  price: {
+    pricePerSqFt: Number,
+    median: Number,
+    ratio: Number,
+    sample: Number,
+    area: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+listingFlagSchema.index({ property: 1 });
+listingFlagSchema.index({ match: 1 });
+
+module.exports = mongoose.model('ListingFlag', listingFlagSchema);
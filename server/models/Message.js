@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message cannot be empty'],
+    trim: true,
+    maxlength: 5000
+  },
+  readAt: Date,
+  // The Property.inquiries entry this message was migrated from
+  legacyInquiry: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ legacyInquiry: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Message', messageSchema);
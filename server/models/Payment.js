@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// One charge attempt through the payment provider
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerRef: String,
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
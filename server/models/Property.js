@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { AREA_UNITS, SQFT_PER_UNIT, normalizeArea } = require('../utils/area');
 
 const propertySchema = new mongoose.Schema({
   title: {
@@ -35,10 +36,22 @@ const propertySchema = new mongoose.Schema({
     },
     unit: {
       type: String,
-      enum: ['sq ft', 'sq m', 'sq yd', 'acre'],
+      enum: AREA_UNITS,
       default: 'sq ft'
     }
   },
+  // The owner's own id for the listing, used to match rows on bulk re-imports
+  externalRef: {
+    type: String,
+    trim: true
+  },
+  // Derived from area and price on save, used for filtering and sorting
+  areaSqFt: {
+    type: Number
+  },
+  pricePerSqFt: {
+    type: Number
+  },
   bedrooms: {
     type: Number,
     min: 0
@@ -85,6 +98,10 @@ const propertySchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Canonical neighbourhood from the locality hierarchy, when known
+    locality: {
+      type: String
+    },
     coordinates: {
       type: {
         type: String,
@@ -118,7 +135,12 @@ const propertySchema = new mongoose.Schema({
   }],
   images: [{
     url: String,
-    public_id: String
+    public_id: String,
+    thumbnail: String,
+    isCover: {
+      type: Boolean,
+      default: false
+    }
   }],
   documents: [{
     name: String,
@@ -132,17 +154,59 @@ const propertySchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'pending', 'sold', 'rented'],
+    enum: ['active', 'pending', 'rejected', 'changes-requested', 'sold', 'rented'],
     default: 'pending'
   },
+  // Latest moderation decision, shown to the owner
+  moderation: {
+    reason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  statusHistory: [{
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    from: String,
+    to: String,
+    note: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Every price change, oldest first
+  priceHistory: [{
+    from: Number,
+    to: Number,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set when the latest price change was a reduction
+  priceReducedAt: Date,
+  // Price before drops made while the listing wasn't live, announced once it is approved
+  heldPriceDropFrom: Number,
   featured: {
     type: Boolean,
     default: false
   },
+  // When a plan feature runs out; empty for features set by an admin without an end
+  featuredUntil: Date,
   views: {
     type: Number,
     default: 0
   },
+  // Legacy embedded inquiries; new ones are Conversation/Message documents
   inquiries: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -162,6 +226,74 @@ const propertySchema = new mongoose.Schema({
   timestamps: true
 });
 
+propertySchema.index({ areaSqFt: 1 });
+propertySchema.index({ pricePerSqFt: 1 });
+propertySchema.index({ priceReducedAt: -1 });
+propertySchema.index({ featured: -1, createdAt: -1 });
+propertySchema.index({ featuredUntil: 1 }, { partialFilterExpression: { featured: true } });
+propertySchema.index(
+  { owner: 1, externalRef: 1 },
+  { unique: true, partialFilterExpression: { externalRef: { $type: 'string' } } }
+);
+
+// Keep the normalized area and price per sq ft in step with area and price
+propertySchema.pre('save', function(next) {
+  if (this.isModified('area') || this.isModified('price') || this.areaSqFt === undefined) {
+    Object.assign(this, normalizeArea(this.area, this.price));
+  }
+  next();
+});
+
+propertySchema.pre('findOneAndUpdate', async function(next) {
+  try {
+    const update = this.getUpdate();
+    const changes = update.$set || update;
+    if (changes.area === undefined && changes.price === undefined) return next();
+
+    let { area, price } = changes;
+    if (area === undefined || price === undefined) {
+      const current = await this.model.findOne(this.getQuery()).select('area price').lean();
+      if (!current) return next();
+      if (area === undefined) area = current.area;
+      if (price === undefined) price = current.price;
+    }
+
+    // Request bodies may carry numbers as strings
+    const normalized = normalizeArea(
+      { value: Number(area.value), unit: area.unit || 'sq ft' },
+      Number(price)
+    );
+    this.set(normalized);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fill in normalized areas for listings saved before they were tracked
+propertySchema.statics.backfillNormalizedAreas = function() {
+  const sqFtPerUnit = {
+    $switch: {
+      branches: Object.keys(SQFT_PER_UNIT).map(unit => ({
+        case: { $eq: [{ $ifNull: ['$area.unit', 'sq ft'] }, unit] },
+        then: SQFT_PER_UNIT[unit]
+      })),
+      default: 1
+    }
+  };
+
+  return this.updateMany({ areaSqFt: { $exists: false }, 'area.value': { $type: 'number' } }, [
+    { $set: { areaSqFt: { $round: [{ $multiply: ['$area.value', sqFtPerUnit] }, 2] } } },
+    {
+      $set: {
+        pricePerSqFt: {
+          $cond: [{ $gt: ['$areaSqFt', 0] }, { $round: [{ $divide: ['$price', '$areaSqFt'] }, 2] }, null]
+        }
+      }
+    }
+  ]);
+};
+
 // Index for location-based queries
 propertySchema.index({ 'location.coordinates': '2dsphere' });
 
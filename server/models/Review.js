@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A rating of an agent by a user who inquired about or visited one of their listings
+const reviewSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The listing whose inquiry or visit made the author eligible
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  reply: {
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    repliedAt: Date
+  },
+  // Hidden reviews drop out of the public profile and the rating
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  moderation: {
+    reason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ agent: 1, author: 1 }, { unique: true });
+reviewSchema.index({ agent: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A logged-in device; holds the hash of its current refresh token
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousTokenHash: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -37,7 +38,25 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Shown on the public profile of agents
+  agentProfile: {
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    serviceAreas: [{
+      type: String,
+      trim: true
+    }],
+    experienceYears: {
+      type: Number,
+      min: 0
+    }
+  },
   verificationToken: String,
+  verificationTokenExpire: Date,
+  verificationSentAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   favorites: [{
@@ -47,11 +66,49 @@ const userSchema = new mongoose.Schema({
   savedSearches: [{
     query: String,
     filters: Object,
+    alertFrequency: {
+      type: String,
+      enum: ['instant', 'daily', 'off'],
+      default: 'daily'
+    },
+    unsubscribeToken: {
+      type: String,
+      default: () => crypto.randomBytes(20).toString('hex')
+    },
+    // Matches waiting for the next daily digest
+    pendingMatches: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property'
+    }],
+    lastNotifiedAt: Date,
     createdAt: {
       type: Date,
       default: Date.now
     }
   }],
+  // Current plan; paid plans run until currentPeriodEnd, then fall back to free
+  subscription: {
+    plan: {
+      type: String,
+      enum: ['free', 'agent-basic', 'agent-pro'],
+      default: 'free'
+    },
+    currentPeriodEnd: Date
+  },
+  // Emails about price drops on favorited listings
+  priceDropAlerts: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Smallest drop, in percent of the old price, worth an email
+    minPercent: {
+      type: Number,
+      default: 5,
+      min: 0,
+      max: 100
+    }
+  },
   properties: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Property'
@@ -86,4 +143,35 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Give saved searches from before alerts existed a frequency and an unsubscribe token
+userSchema.statics.backfillSavedSearchAlerts = async function() {
+  const users = this.find({
+    savedSearches: {
+      $elemMatch: {
+        $or: [{ alertFrequency: { $exists: false } }, { unsubscribeToken: { $exists: false } }]
+      }
+    }
+  })
+    .select('savedSearches')
+    .lean()
+    .cursor();
+
+  for await (const user of users) {
+    const $set = {};
+    const arrayFilters = [];
+    user.savedSearches.forEach((search) => {
+      if (search.alertFrequency && search.unsubscribeToken) return;
+
+      const name = `s${arrayFilters.length}`;
+      arrayFilters.push({ [`${name}._id`]: search._id });
+      if (!search.alertFrequency) $set[`savedSearches.$[${name}].alertFrequency`] = 'daily';
+      if (!search.unsubscribeToken) {
+        $set[`savedSearches.$[${name}].unsubscribeToken`] = crypto.randomBytes(20).toString('hex');
+      }
+    });
+
+    await this.updateOne({ _id: user._id }, { $set }, { arrayFilters });
+  }
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const visitSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisitSlot',
+    required: true
+  },
+  seeker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied from the slot so the visit keeps its time if the slot is removed
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'confirmed', 'declined', 'cancelled', 'completed'],
+    default: 'requested'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String
+}, {
+  timestamps: true
+});
+
+visitSchema.index({ seeker: 1, start: -1 });
+visitSchema.index({ owner: 1, start: -1 });
+
+module.exports = mongoose.model('Visit', visitSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A window the owner is available to show a property; holds at most one visit
+const visitSlotSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  // Set while a requested or confirmed visit holds the slot
+  visit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+visitSlotSchema.index({ property: 1, start: 1 });
+
+module.exports = mongoose.model('VisitSlot', visitSlotSchema);
@@ -3,7 +3,13 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Property = require('../models/Property');
+const Conversation = require('../models/Conversation');
+const Review = require('../models/Review');
+const ListingFlag = require('../models/ListingFlag');
 const { protect, authorize } = require('../middleware/auth');
+const { changeStatus } = require('../services/moderation');
+const { flagsFor } = require('../services/listingScreening');
+const { revokeAllSessions } = require('../services/sessions');
 
 // Apply protection and admin authorization to all routes
 router.use(protect);
@@ -12,11 +18,12 @@ router.use(authorize('admin'));
 // Get all users
 router.get('/users', async (req, res) => {
   try {
-    const { page = 1, limit = 10, role } = req.query;
+    const { page = 1, limit = 10, role, isVerified } = req.query;
     const query = role ? { role } : {};
+    if (isVerified !== undefined) query.isVerified = isVerified === 'true';
 
     const users = await User.find(query)
-      .select('-password')
+      .select('-password -verificationToken -resetPasswordToken')
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort('-createdAt');
@@ -64,6 +71,9 @@ router.put('/users/:userId/role', [
       });
     }
 
+    // Tokens carry the old privileges, so make the user sign in again
+    await revokeAllSessions(user._id, 'role-change');
+
     res.json({
       success: true,
       data: user
@@ -77,22 +87,72 @@ router.put('/users/:userId/role', [
   }
 });
 
-// Get all properties with pending status
+// Override user email verification status
+router.put('/users/:userId/verification', [
+  body('isVerified').isBoolean().withMessage('isVerified must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isVerified = req.body.isVerified === true || req.body.isVerified === 'true';
+    const update = isVerified
+      ? { isVerified, $unset: { verificationToken: 1, verificationTokenExpire: 1 } }
+      : { isVerified };
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      update,
+      { new: true, runValidators: true }
+    ).select('-password -verificationToken -resetPasswordToken');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating verification status',
+      error: error.message
+    });
+  }
+});
+
+// Get all properties with pending status, each with its screening flags
+// and the listings they match (flagged=true keeps only flagged ones)
 router.get('/properties/pending', async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, flagged } = req.query;
+    const query = { status: 'pending' };
+    if (flagged === 'true') {
+      query._id = { $in: await ListingFlag.distinct('property') };
+    }
 
-    const properties = await Property.find({ status: 'pending' })
+    const properties = await Property.find(query)
       .populate('owner', 'name email phone')
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort('-createdAt');
 
-    const total = await Property.countDocuments({ status: 'pending' });
+    const total = await Property.countDocuments(query);
+    const flags = await flagsFor(properties.map(property => property._id));
 
     res.json({
       success: true,
-      data: properties,
+      data: properties.map(property => ({
+        ...property.toObject(),
+        flags: flags.get(property._id.toString()) || []
+      })),
       pagination: {
         total,
         page: page * 1,
@@ -108,21 +168,69 @@ router.get('/properties/pending', async (req, res) => {
   }
 });
 
-// Update property status
-router.put('/properties/:propertyId/status', [
-  body('status').isIn(['active', 'pending', 'sold', 'rented']).withMessage('Invalid status')
-], async (req, res) => {
+// Apply a moderation decision and record it in the listing's status history
+const moderate = (to, errorMessage) => async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const property = await Property.findByIdAndUpdate(
-      req.params.propertyId,
-      { status: req.body.status },
-      { new: true, runValidators: true }
-    ).populate('owner', 'name email phone');
+    const property = await Property.findById(req.params.propertyId);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const note = req.body.reason || req.body.note;
+    await changeStatus(property, to || req.body.status, req.user, note);
+    await property.populate('owner', 'name email phone');
+
+    res.json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: errorMessage,
+      error: error.message
+    });
+  }
+};
+
+// Update property status
+router.put('/properties/:propertyId/status', [
+  body('status')
+    .isIn(['active', 'pending', 'rejected', 'changes-requested', 'sold', 'rented'])
+    .withMessage('Invalid status'),
+  body('note').optional().trim()
+], moderate(null, 'Error updating property status'));
+
+// Approve property
+router.put('/properties/:propertyId/approve', [
+  body('note').optional().trim()
+], moderate('active', 'Error approving property'));
+
+// Reject property
+router.put('/properties/:propertyId/reject', [
+  body('reason').trim().notEmpty().withMessage('A rejection reason is required')
+], moderate('rejected', 'Error rejecting property'));
+
+// Request changes to property
+router.put('/properties/:propertyId/request-changes', [
+  body('note').trim().notEmpty().withMessage('Describe the changes needed')
+], moderate('changes-requested', 'Error requesting changes'));
+
+// Get property status history
+router.get('/properties/:propertyId/history', async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.propertyId)
+      .select('title status moderation statusHistory')
+      .populate('statusHistory.actor', 'name email role');
 
     if (!property) {
       return res.status(404).json({
@@ -138,7 +246,86 @@ router.put('/properties/:propertyId/status', [
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error updating property status',
+      message: 'Error fetching status history',
+      error: error.message
+    });
+  }
+});
+
+// Get agent reviews for moderation (reported=true for the abuse queue)
+router.get('/reviews', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, reported } = req.query;
+    const query = status ? { status } : {};
+    if (reported === 'true') query['reports.0'] = { $exists: true };
+
+    const reviews = await Review.find(query)
+      .populate('agent', 'name email')
+      .populate('author', 'name email')
+      .populate('reports.user', 'name email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort('-updatedAt');
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination: {
+        total,
+        page: page * 1,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// Hide an abusive review or publish it again
+router.put('/reviews/:reviewId/moderation', [
+  body('status').isIn(['published', 'hidden']).withMessage('Status must be published or hidden'),
+  body('reason').if(body('status').equals('hidden'))
+    .trim().notEmpty().withMessage('A reason is required to hide a review')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findById(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.status = req.body.status;
+    review.moderation = {
+      reason: req.body.reason,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date()
+    };
+    // Reports are resolved by the decision
+    review.reports = [];
+    await review.save();
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating review',
       error: error.message
     });
   }
@@ -160,10 +347,7 @@ router.get('/dashboard', async (req, res) => {
       Property.countDocuments({ status: 'pending' }),
       Property.countDocuments({ status: 'active' }),
       User.countDocuments({ role: 'agent' }),
-      Property.aggregate([
-        { $unwind: '$inquiries' },
-        { $group: { _id: null, count: { $sum: 1 } } }
-      ])
+      Conversation.countDocuments()
     ]);
 
     res.json({
@@ -174,7 +358,7 @@ router.get('/dashboard', async (req, res) => {
         pendingProperties,
         activeProperties,
         totalAgents,
-        totalInquiries: totalInquiries[0]?.count || 0
+        totalInquiries
       }
     });
   } catch (error) {
@@ -199,30 +383,12 @@ router.get('/activities', async (req, res) => {
       .limit(5)
       .select('name email role createdAt');
 
-    const recentInquiries = await Property.aggregate([
-      { $unwind: '$inquiries' },
-      { $sort: { 'inquiries.createdAt': -1 } },
-      { $limit: 5 },
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'inquiries.user',
-          foreignField: '_id',
-          as: 'user'
-        }
-      },
-      { $unwind: '$user' },
-      {
-        $project: {
-          _id: 1,
-          title: 1,
-          'inquiries.message': 1,
-          'inquiries.createdAt': 1,
-          'user.name': 1,
-          'user.email': 1
-        }
-      }
-    ]);
+    const recentInquiries = await Conversation.find()
+      .sort('-createdAt')
+      .limit(5)
+      .populate('property', 'title')
+      .populate('seeker', 'name email')
+      .select('property seeker lastMessage createdAt');
 
     res.json({
       success: true,
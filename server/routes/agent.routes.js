@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const Review = require('../models/Review');
+const { protect, requireVerified } = require('../middleware/auth');
+const { findReviewBasis, ratingSummary, responseStats } = require('../services/agents');
+
+// Public fields of an agent account
+const PUBLIC_AGENT_FIELDS = 'name profileImage agentProfile createdAt';
+const PROFILE_LISTINGS = 12;
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load an agent by id for the public pages, or null
+const findAgent = (agentId) => {
+  if (!mongoose.isValidObjectId(agentId)) return null;
+  return User.findOne({ _id: agentId, role: 'agent' }).select(PUBLIC_AGENT_FIELDS);
+};
+
+// Ids in review URLs, checked up front so malformed ones are 400s rather than cast errors
+const reviewParamsValidation = [
+  param('agentId').isMongoId().withMessage('Invalid agent id'),
+  param('reviewId').isMongoId().withMessage('Invalid review id')
+];
+
+// Review as shown publicly: no reports or moderation details
+const publicReview = (review) => {
+  const data = review.toObject();
+  delete data.reports;
+  delete data.moderation;
+  return data;
+};
+
+// Get agents, optionally serving a given area
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, area } = req.query;
+    const query = { role: 'agent' };
+    if (area) {
+      query['agentProfile.serviceAreas'] = new RegExp(`^\\s*${escapeRegex(String(area).trim())}\\s*$`, 'i');
+    }
+
+    const agents = await User.find(query)
+      .select(PUBLIC_AGENT_FIELDS)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort('name');
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: agents,
+      pagination: {
+        total,
+        page: page * 1,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agents',
+      error: error.message
+    });
+  }
+});
+
+// Get an agent's public profile
+router.get('/:agentId', async (req, res) => {
+  try {
+    const agent = await findAgent(req.params.agentId);
+
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    const listingQuery = { owner: agent._id, status: 'active' };
+    const [listings, activeListings, rating, responses] = await Promise.all([
+      Property.find(listingQuery)
+        .select('title price listingType propertyType area location images createdAt')
+        .sort('-createdAt')
+        .limit(PROFILE_LISTINGS),
+      Property.countDocuments(listingQuery),
+      ratingSummary(agent._id),
+      responseStats(agent._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        agent,
+        listings,
+        stats: {
+          activeListings,
+          ...responses
+        },
+        rating
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agent',
+      error: error.message
+    });
+  }
+});
+
+// Get an agent's published reviews
+router.get('/:agentId/reviews', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const agent = await findAgent(req.params.agentId);
+
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    const query = { agent: agent._id, status: 'published' };
+    const reviews = await Review.find(query)
+      .populate('author', 'name profileImage')
+      .populate('property', 'title')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort('-createdAt');
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: reviews.map(publicReview),
+      pagination: {
+        total,
+        page: page * 1,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// Review an agent (only after inquiring about or visiting one of their listings)
+router.post('/:agentId/reviews', protect, requireVerified, [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Review is too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const agent = await findAgent(req.params.agentId);
+
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    if (agent._id.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot review yourself'
+      });
+    }
+
+    const property = await findReviewBasis(req.user._id, agent._id);
+    if (!property) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only users who inquired about or visited one of this agent\'s properties can review them'
+      });
+    }
+
+    if (await Review.exists({ agent: agent._id, author: req.user._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this agent'
+      });
+    }
+
+    const review = await Review.create({
+      agent: agent._id,
+      author: req.user._id,
+      property,
+      rating: req.body.rating,
+      comment: req.body.comment
+    });
+
+    res.status(201).json({
+      success: true,
+      data: publicReview(review)
+    });
+  } catch (error) {
+    // A second review racing past the check above hits the unique index
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this agent'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating review',
+      error: error.message
+    });
+  }
+});
+
+// Reply to a review (the reviewed agent only)
+router.put('/:agentId/reviews/:reviewId/reply', protect, [
+  ...reviewParamsValidation,
+  body('body').trim().notEmpty().withMessage('Reply cannot be empty')
+    .isLength({ max: 2000 }).withMessage('Reply is too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.agentId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the reviewed agent can reply'
+      });
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, agent: req.user._id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.reply = { body: req.body.body, repliedAt: new Date() };
+    await review.save();
+
+    res.json({
+      success: true,
+      data: publicReview(review)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error replying to review',
+      error: error.message
+    });
+  }
+});
+
+// Report an abusive review for moderation
+router.post('/:agentId/reviews/:reviewId/report', protect, [
+  ...reviewParamsValidation,
+  body('reason').trim().notEmpty().withMessage('Tell us what is wrong with this review')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      agent: req.params.agentId,
+      status: 'published'
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    // One report per user is enough
+    if (!review.reports.some(report => report.user.toString() === req.user.id)) {
+      review.reports.push({ user: req.user._id, reason: req.body.reason });
+      await review.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks, a moderator will take a look'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reporting review',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,38 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
+const { sendTemplate, clientUrl } = require('../services/mailer');
+const { generateToken, hashToken } = require('../utils/tokens');
+const {
+  SessionError,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} = require('../services/sessions');
+
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const VERIFICATION_RESEND_INTERVAL = 2 * 60 * 1000; // 2 minutes
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+// Issue a fresh verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const { token, hashed } = generateToken();
+
+  user.verificationToken = hashed;
+  user.verificationTokenExpire = Date.now() + VERIFICATION_TOKEN_TTL;
+  user.verificationSentAt = Date.now();
+  await user.save();
+
+  await sendTemplate('verifyEmail', user.email, {
+    name: user.name,
+    link: clientUrl(`/verify-email?token=${token}`)
+  });
+};
 
 // Validation middleware
 const registerValidation = [
@@ -15,6 +44,17 @@ const registerValidation = [
   body('phone').optional().trim()
 ];
 
+// At least 8 characters mixing upper case, lower case and digits
+const strongPassword = field => body(field)
+  .isStrongPassword({
+    minLength: 8,
+    minLowercase: 1,
+    minUppercase: 1,
+    minNumbers: 1,
+    minSymbols: 0
+  })
+  .withMessage('Password must be at least 8 characters and include upper case, lower case and a number');
+
 const loginValidation = [
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').notEmpty().withMessage('Password is required')
@@ -48,21 +88,25 @@ router.post('/register', registerValidation, async (req, res) => {
       phone
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // A failed email should not fail the registration; the user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error(`Verification email failed for ${user.email}:`, error.message);
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isVerified: user.isVerified
       }
     });
   } catch (error) {
@@ -103,21 +147,18 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // Start a session with a short-lived access token and a refresh token
+    const tokens = await createSession(user, req);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isVerified: user.isVerified
       }
     });
   } catch (error) {
@@ -129,6 +170,115 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// Refresh access token
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error instanceof SessionError ? error.message : 'Error refreshing token',
+      error: error.message
+    });
+  }
+});
+
+// Logout current device
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+});
+
+// Logout all devices
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+});
+
+// Get active sessions
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', protect, async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.sessionId)
+      ? await revokeSession(req.params.sessionId, req.user.id)
+      : { matchedCount: 0 };
+
+    if (!result.matchedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+});
+
 // Get current user
 router.get('/me', protect, async (req, res) => {
   try {
@@ -140,6 +290,7 @@ router.get('/me', protect, async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        isVerified: user.isVerified,
         profileImage: user.profileImage
       }
     });
@@ -152,36 +303,120 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
-// Forgot password
-router.post('/forgot-password', async (req, res) => {
+// Verify email
+router.post('/verify-email', [
+  body('token').trim().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
   try {
-    const { email } = req.body;
-    const user = await User.findOne({ email });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({
+      verificationToken: hashToken(req.body.token),
+      verificationTokenExpire: { $gt: Date.now() }
+    });
 
     if (!user) {
-      return res.status(404).json({
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'Invalid or expired verification token'
       });
     }
 
-    // Generate reset token
-    const resetToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpire = Date.now() + 3600000; // 1 hour
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpire = undefined;
     await user.save();
 
-    // TODO: Send email with reset token
-    // For now, just return the token
     res.json({
       success: true,
-      message: 'Password reset token generated',
-      resetToken
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const elapsed = user.verificationSentAt ? Date.now() - user.verificationSentAt.getTime() : Infinity;
+    if (elapsed < VERIFICATION_RESEND_INTERVAL) {
+      const retryAfter = Math.ceil((VERIFICATION_RESEND_INTERVAL - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+});
+
+// Store a fresh reset token for the user and email them the link
+const sendPasswordReset = async (user) => {
+  const { token, hashed } = generateToken();
+
+  user.resetPasswordToken = hashed;
+  user.resetPasswordExpire = Date.now() + RESET_TOKEN_TTL;
+  await user.save();
+
+  await sendTemplate('resetPassword', user.email, {
+    name: user.name,
+    link: clientUrl(`/reset-password?token=${token}`)
+  });
+};
+
+// Forgot password
+// Always answers the same way so the endpoint can't be used to probe for accounts
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase().trim() });
+
+    // Not awaited, so the response takes as long whether or not the email is registered
+    if (user) {
+      sendPasswordReset(user).catch((error) => {
+        console.error(`Password reset email failed for ${user.email}:`, error.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
     });
   } catch (error) {
     res.status(500).json({
@@ -193,15 +428,20 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // Reset password
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', [
+  body('token').trim().notEmpty().withMessage('Reset token is required'),
+  strongPassword('password')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { token, password } = req.body;
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findOne({
-      _id: decoded.id,
-      resetPasswordToken: token,
+      resetPasswordToken: hashToken(token),
       resetPasswordExpire: { $gt: Date.now() }
     });
 
@@ -218,6 +458,9 @@ router.post('/reset-password', async (req, res) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    // Sign out every device that used the old password
+    await revokeAllSessions(user._id, 'password-reset');
+
     res.json({
       success: true,
       message: 'Password reset successful'
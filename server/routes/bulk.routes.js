@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const Property = require('../models/Property');
+const { protect, authorize, requireVerified } = require('../middleware/auth');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { importListings, exportListings } = require('../services/listingImport');
+
+// Bulk tools are for agents (and admins) managing many listings
+router.use(protect);
+router.use(authorize('agent', 'admin'));
+
+// Import listings from a CSV or XLSX file in the `file` field.
+// Runs as a dry run unless dryRun=false; a real run only writes when every row is valid.
+router.post('/import', requireVerified, uploadSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a .csv or .xlsx file in the "file" field'
+      });
+    }
+
+    const dryRun = req.query.dryRun !== 'false';
+    const report = await importListings(req.file, req.user, { dryRun });
+
+    // A real run blocked by invalid rows is reported back with the row errors
+    const status = !dryRun && !report.applied ? 422 : 200;
+    res.status(status).json({
+      success: status === 200,
+      data: report
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error importing properties',
+      error: error.message
+    });
+  }
+});
+
+// Export the user's own listings in the import format (format=csv or xlsx)
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    const properties = await Property.find({ owner: req.user._id }).sort('createdAt').lean();
+    const file = await exportListings(properties, format);
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="listings.${file.extension}"`);
+    res.send(file.body);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting properties',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { protect, requireVerified } = require('../middleware/auth');
+const { unreadField, postMessage, markRead } = require('../services/conversations');
+const { canViewProperty } = require('../utils/visibility');
+
+router.use(protect);
+
+// Load a conversation the current user takes part in
+const loadConversation = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.conversationId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.conversationId)
+      .populate('property', 'title price images location.city status')
+      .populate('seeker', 'name profileImage')
+      .populate('owner', 'name profileImage');
+
+    if (!conversation || !conversation.participantRole(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    req.conversation = conversation;
+    req.participantRole = conversation.participantRole(req.user.id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get inbox
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, role, unread } = req.query;
+
+    let query;
+    if (role === 'seeker') {
+      query = { seeker: req.user.id };
+      if (unread === 'true') query.seekerUnread = { $gt: 0 };
+    } else if (role === 'owner') {
+      query = { owner: req.user.id };
+      if (unread === 'true') query.ownerUnread = { $gt: 0 };
+    } else if (unread === 'true') {
+      query = {
+        $or: [
+          { seeker: req.user.id, seekerUnread: { $gt: 0 } },
+          { owner: req.user.id, ownerUnread: { $gt: 0 } }
+        ]
+      };
+    } else {
+      query = { $or: [{ seeker: req.user.id }, { owner: req.user.id }] };
+    }
+
+    const conversations = await Conversation.find(query)
+      .sort('-lastMessageAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('property', 'title price images location.city')
+      .populate('seeker', 'name profileImage')
+      .populate('owner', 'name profileImage');
+
+    const total = await Conversation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: conversations.map((conversation) => {
+        const participantRole = conversation.participantRole(req.user.id);
+        return {
+          ...conversation.toObject(),
+          role: participantRole,
+          unread: conversation[unreadField(participantRole)]
+        };
+      }),
+      pagination: {
+        total,
+        page: page * 1,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversations',
+      error: error.message
+    });
+  }
+});
+
+// Get total unread messages
+router.get('/unread-count', async (req, res) => {
+  try {
+    const [seeker, owner] = await Promise.all([
+      Conversation.aggregate([
+        { $match: { seeker: req.user._id } },
+        { $group: { _id: null, count: { $sum: '$seekerUnread' } } }
+      ]),
+      Conversation.aggregate([
+        { $match: { owner: req.user._id } },
+        { $group: { _id: null, count: { $sum: '$ownerUnread' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        unread: (seeker[0]?.count || 0) + (owner[0]?.count || 0)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unread count',
+      error: error.message
+    });
+  }
+});
+
+// Get conversation with messages
+router.get('/:conversationId', loadConversation, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { conversation } = req;
+
+    const messages = await Message.find({ conversation: conversation._id })
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('sender', 'name profileImage');
+
+    const total = await Message.countDocuments({ conversation: conversation._id });
+
+    // Opening a thread reads it
+    await markRead(conversation, req.user.id);
+    conversation[unreadField(req.participantRole)] = 0;
+
+    res.json({
+      success: true,
+      data: {
+        conversation,
+        role: req.participantRole,
+        // Oldest first within the page
+        messages: messages.reverse()
+      },
+      pagination: {
+        total,
+        page: page * 1,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversation',
+      error: error.message
+    });
+  }
+});
+
+// Reply to conversation
+router.post('/:conversationId/messages', requireVerified, [
+  body('message').trim().notEmpty().withMessage('Message is required')
+    .isLength({ max: 5000 }).withMessage('Message is too long')
+], loadConversation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Seekers can only keep writing about listings they could still inquire about
+    const { property } = req.conversation;
+    if (req.participantRole === 'seeker' && (!property || !canViewProperty(property, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const message = await postMessage(req.conversation, req.user.id, req.body.message);
+
+    res.status(201).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending message',
+      error: error.message
+    });
+  }
+});
+
+// Mark conversation as read
+router.put('/:conversationId/read', loadConversation, async (req, res) => {
+  try {
+    await markRead(req.conversation, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation marked as read'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error marking conversation as read',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const Property = require('../models/Property');
+const { protect } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+
+const MAX_IMAGES_PER_PROPERTY = 20;
+
+// Load the property and make sure the current user may manage its photos
+const loadOwnedProperty = async (req, res, next) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage images for this property'
+      });
+    }
+
+    req.property = property;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Keep exactly one cover image, falling back to the first photo
+const ensureCover = (property) => {
+  if (property.images.length && !property.images.some(image => image.isCover)) {
+    property.images[0].isCover = true;
+  }
+};
+
+// Upload property images
+router.post('/', protect, loadOwnedProperty, uploadImages, async (req, res) => {
+  try {
+    const { property } = req;
+    const files = req.files || [];
+
+    if (!files.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No images uploaded'
+      });
+    }
+
+    if (property.images.length + files.length > MAX_IMAGES_PER_PROPERTY) {
+      return res.status(400).json({
+        success: false,
+        message: `A property can have at most ${MAX_IMAGES_PER_PROPERTY} images`
+      });
+    }
+
+    const storage = getStorage();
+    const results = await Promise.allSettled(
+      files.map(file => storage.upload(file, { folder: `properties/${property._id}` }))
+    );
+    const uploaded = results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value);
+
+    // Don't leave half a batch behind: drop what was stored if any upload or the save fails
+    const discardUploaded = () => Promise.all(uploaded.map(image => storage.remove(image.public_id)
+      .catch((error) => {
+        console.error(`Failed to remove asset ${image.public_id}:`, error.message);
+      })));
+
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      await discardUploaded();
+      throw failed.reason;
+    }
+
+    property.images.push(...uploaded);
+    ensureCover(property);
+    try {
+      await property.save();
+    } catch (error) {
+      await discardUploaded();
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: property.images
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading images',
+      error: error.message
+    });
+  }
+});
+
+// Reorder property images
+router.put('/order', protect, loadOwnedProperty, [
+  body('order').isArray({ min: 1 }).withMessage('Order must be a list of image ids')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { property } = req;
+    const { order } = req.body;
+    const current = property.images.map(image => image._id.toString());
+
+    if (
+      order.length !== current.length ||
+      new Set(order).size !== order.length ||
+      !order.every(id => current.includes(String(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every image of the property exactly once'
+      });
+    }
+
+    property.images = order.map(id => property.images.id(id));
+    await property.save();
+
+    res.json({
+      success: true,
+      data: property.images
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering images',
+      error: error.message
+    });
+  }
+});
+
+// Set cover image
+router.put('/:imageId/cover', protect, loadOwnedProperty, async (req, res) => {
+  try {
+    const { property } = req;
+    const image = property.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    property.images.forEach((item) => {
+      item.isCover = item._id.equals(image._id);
+    });
+    await property.save();
+
+    res.json({
+      success: true,
+      data: property.images
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error setting cover image',
+      error: error.message
+    });
+  }
+});
+
+// Delete property image
+router.delete('/:imageId', protect, loadOwnedProperty, async (req, res) => {
+  try {
+    const { property } = req;
+    const image = property.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    if (image.public_id) {
+      await getStorage().remove(image.public_id);
+    }
+
+    image.deleteOne();
+    ensureCover(property);
+    await property.save();
+
+    res.json({
+      success: true,
+      data: property.images
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting image',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
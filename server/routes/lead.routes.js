@@ -0,0 +1,350 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { body, query: checkQuery, validationResult } = require('express-validator');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { toList } = require('../utils/propertyQuery');
+const { toCsv } = require('../utils/csv');
+
+router.use(protect);
+router.use(authorize('agent', 'admin'));
+
+// Agents see leads on their own listings and leads assigned to them; admins see all
+const leadScope = req => (req.user.role === 'admin'
+  ? {}
+  : { $or: [{ owner: req.user._id }, { assignedAgent: req.user._id }] });
+
+// List and export filters
+const leadFilterValidation = [
+  checkQuery('property').optional().isMongoId().withMessage('Invalid property id'),
+  checkQuery('assignedAgent').optional().isMongoId().withMessage('Invalid agent id'),
+  checkQuery('from').optional().isISO8601().withMessage('from must be a date'),
+  checkQuery('to').optional().isISO8601().withMessage('to must be a date')
+];
+
+const buildLeadQuery = (req) => {
+  const { status, property, assignedAgent, followUpDue, from, to } = req.query;
+  const query = leadScope(req);
+
+  if (status) query.status = { $in: toList(status) };
+  if (property) query.property = property;
+  if (assignedAgent) query.assignedAgent = assignedAgent;
+  if (followUpDue === 'true') {
+    query.followUps = { $elemMatch: { done: false, dueAt: { $lte: new Date() } } };
+  }
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+// Load a lead visible to the current user
+const loadLead = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.leadId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    const lead = await Lead.findOne({ ...leadScope(req), _id: req.params.leadId });
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    req.lead = lead;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const populateLead = query => query
+  .populate('property', 'title price location.city')
+  .populate('seeker', 'name email phone')
+  .populate('assignedAgent', 'name email')
+  .populate('notes.author', 'name');
+
+// Get leads
+router.get('/', leadFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, sort = '-createdAt' } = req.query;
+    const query = buildLeadQuery(req);
+
+    const leads = await populateLead(
+      Lead.find(query)
+        .sort(sort)
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+    );
+
+    const total = await Lead.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: leads,
+      pagination: {
+        total,
+        page: page * 1,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching leads',
+      error: error.message
+    });
+  }
+});
+
+// Export leads as CSV
+router.get('/export', leadFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const leads = await populateLead(Lead.find(buildLeadQuery(req)).sort('-createdAt'));
+
+    const nextFollowUp = lead => lead.followUps
+      .filter(followUp => !followUp.done)
+      .sort((a, b) => a.dueAt - b.dueAt)[0];
+
+    const csv = toCsv(leads, [
+      { header: 'Lead ID', value: lead => lead._id },
+      { header: 'Created', value: lead => lead.createdAt },
+      { header: 'Status', value: lead => lead.status },
+      { header: 'Property', value: lead => lead.property && lead.property.title },
+      { header: 'City', value: lead => lead.property && lead.property.location.city },
+      { header: 'Seeker', value: lead => lead.seeker && lead.seeker.name },
+      { header: 'Email', value: lead => lead.seeker && lead.seeker.email },
+      { header: 'Phone', value: lead => lead.seeker && lead.seeker.phone },
+      { header: 'Assigned Agent', value: lead => lead.assignedAgent && lead.assignedAgent.name },
+      { header: 'Next Follow-up', value: lead => nextFollowUp(lead) && nextFollowUp(lead).dueAt },
+      { header: 'Notes', value: lead => lead.notes.map(note => note.body).join(' | ') }
+    ]);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="leads.csv"');
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting leads',
+      error: error.message
+    });
+  }
+});
+
+// Get single lead
+router.get('/:leadId', loadLead, async (req, res) => {
+  try {
+    const lead = await populateLead(Lead.findById(req.lead._id));
+
+    res.json({
+      success: true,
+      data: lead
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching lead',
+      error: error.message
+    });
+  }
+});
+
+// Update lead status
+router.put('/:leadId/status', [
+  body('status').isIn(Lead.STATUSES).withMessage('Invalid lead status')
+], loadLead, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lead } = req;
+    if (lead.status !== req.body.status) {
+      lead.status = req.body.status;
+      lead.statusChangedAt = new Date();
+      await lead.save();
+    }
+
+    res.json({
+      success: true,
+      data: lead
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating lead status',
+      error: error.message
+    });
+  }
+});
+
+// Assign lead to an agent
+router.put('/:leadId/assign', [
+  body('agentId').isMongoId().withMessage('Invalid agent id')
+], loadLead, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Assignees can work a lead, but only the listing owner hands it out
+    if (req.user.role !== 'admin' && req.lead.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the listing owner can reassign this lead'
+      });
+    }
+
+    const agent = await User.findOne({ _id: req.body.agentId, role: 'agent' });
+    if (!agent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    const { lead } = req;
+    lead.assignedAgent = agent._id;
+    await lead.save();
+
+    res.json({
+      success: true,
+      data: lead
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning lead',
+      error: error.message
+    });
+  }
+});
+
+// Add private note
+router.post('/:leadId/notes', [
+  body('body').trim().notEmpty().withMessage('Note cannot be empty')
+], loadLead, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lead } = req;
+    lead.notes.push({ author: req.user._id, body: req.body.body });
+    await lead.save();
+
+    res.status(201).json({
+      success: true,
+      data: lead.notes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding note',
+      error: error.message
+    });
+  }
+});
+
+// Schedule follow-up reminder
+router.post('/:leadId/follow-ups', [
+  body('dueAt').isISO8601().withMessage('Follow-up date must be a valid date'),
+  body('note').optional().trim()
+], loadLead, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lead } = req;
+    lead.followUps.push({
+      dueAt: new Date(req.body.dueAt),
+      note: req.body.note,
+      createdBy: req.user._id
+    });
+    await lead.save();
+
+    res.status(201).json({
+      success: true,
+      data: lead.followUps
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error scheduling follow-up',
+      error: error.message
+    });
+  }
+});
+
+// Complete or reschedule follow-up
+router.put('/:leadId/follow-ups/:followUpId', [
+  body('done').optional().isBoolean().withMessage('done must be a boolean'),
+  body('dueAt').optional().isISO8601().withMessage('Follow-up date must be a valid date')
+], loadLead, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lead } = req;
+    const followUp = lead.followUps.id(req.params.followUpId);
+
+    if (!followUp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow-up not found'
+      });
+    }
+
+    if (req.body.done !== undefined) {
+      followUp.done = req.body.done === true || req.body.done === 'true';
+    }
+    if (req.body.dueAt) {
+      followUp.dueAt = new Date(req.body.dueAt);
+      // A new date deserves a new reminder
+      followUp.remindedAt = undefined;
+    }
+    await lead.save();
+
+    res.json({
+      success: true,
+      data: followUp
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating follow-up',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
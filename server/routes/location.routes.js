@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { query, param, validationResult } = require('express-validator');
+const Property = require('../models/Property');
+const {
+  autocomplete,
+  lookupPincode,
+  hierarchy,
+  cityPattern,
+  localityPattern
+} = require('../services/localities');
+
+// Location typeahead with the number of active listings per place
+router.get('/autocomplete', [
+  query('q').trim().notEmpty().withMessage('Search text is required'),
+  query('limit').optional().isInt({ min: 1, max: 25 }).withMessage('Limit must be between 1 and 25')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, limit = 10 } = req.query;
+    const matches = autocomplete(q, limit * 1);
+
+    const counts = matches.length
+      ? await Property.aggregate([
+        {
+          $match: {
+            status: 'active',
+            // Listings saved before names were normalized may use an alias
+            'location.city': { $in: [...new Set(matches.map(match => match.city))].map(cityPattern) }
+          }
+        },
+        {
+          $group: {
+            _id: { city: '$location.city', locality: '$location.locality' },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+      : [];
+
+    const data = matches.map((match) => {
+      const city = cityPattern(match.city);
+      const locality = match.type === 'locality' && localityPattern(match.name, match.city);
+      const listingCount = counts
+        .filter(row => city.test(row._id.city) &&
+          (!locality || locality.test(row._id.locality || '')))
+        .reduce((sum, row) => sum + row.count, 0);
+      return { ...match, listingCount };
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching locations',
+      error: error.message
+    });
+  }
+});
+
+// Look up the localities covered by a pincode
+router.get('/pincode/:pincode', [
+  param('pincode').matches(/^[1-9][0-9]{5}$/).withMessage('Pincode must be a 6 digit Indian pincode')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const localities = lookupPincode(req.params.pincode);
+
+    if (!localities.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pincode not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: localities
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error looking up pincode',
+      error: error.message
+    });
+  }
+});
+
+// Get the full state -> city -> locality hierarchy
+router.get('/hierarchy', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: hierarchy()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching locations',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const { protect } = require('../middleware/auth');
+const {
+  PLANS,
+  PLAN_PERIOD_DAYS,
+  currentPlan,
+  listingUsage,
+  featuredUsage,
+  subscribe
+} = require('../services/plans');
+
+// Get available plans
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: Object.keys(PLANS).map(id => ({
+        id,
+        ...PLANS[id],
+        periodDays: PLANS[id].price ? PLAN_PERIOD_DAYS : null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching plans',
+      error: error.message
+    });
+  }
+});
+
+// Get the current user's plan and what they have used of it
+router.get('/subscription', protect, async (req, res) => {
+  try {
+    const [listings, featured] = await Promise.all([
+      listingUsage(req.user),
+      featuredUsage(req.user)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        plan: currentPlan(req.user),
+        currentPeriodEnd: req.user.subscription && req.user.subscription.currentPeriodEnd,
+        usage: { listings, featured }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching subscription',
+      error: error.message
+    });
+  }
+});
+
+// Subscribe to (or renew) a plan, paying through the configured provider
+router.post('/subscribe', protect, [
+  body('plan').isIn(Object.keys(PLANS)).withMessage('Invalid plan'),
+  body('paymentMethod').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { subscription, payment } = await subscribe(req.user, req.body.plan, req.body.paymentMethod);
+
+    res.json({
+      success: true,
+      data: {
+        plan: currentPlan(req.user),
+        currentPeriodEnd: subscription.currentPeriodEnd,
+        payment
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error updating subscription',
+      error: error.message
+    });
+  }
+});
+
+// Get the current user's payment history
+router.get('/payments', protect, async (req, res) => {
+  try {
+    const payments = await Payment.find({ user: req.user._id }).sort('-createdAt');
+
+    res.json({
+      success: true,
+      data: payments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payments',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,42 +1,96 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Property = require('../models/Property');
-const { protect, authorize } = require('../middleware/auth');
-
-// Validation middleware
-const propertyValidation = [
-  body('title').trim().notEmpty().withMessage('Title is required'),
-  body('description').trim().notEmpty().withMessage('Description is required'),
-  body('propertyType').isIn(['Apartment', 'House', 'Villa', 'Plot', 'Commercial', 'Farmhouse']).withMessage('Invalid property type'),
-  body('listingType').isIn(['Sale', 'Rent']).withMessage('Invalid listing type'),
-  body('price').isNumeric().withMessage('Price must be a number'),
-  body('area.value').isNumeric().withMessage('Area value must be a number'),
-  body('location.address').trim().notEmpty().withMessage('Address is required'),
-  body('location.city').trim().notEmpty().withMessage('City is required'),
-  body('location.state').trim().notEmpty().withMessage('State is required'),
-  body('location.pincode').trim().notEmpty().withMessage('Pincode is required')
-];
+const { protect, optionalAuth, authorize, requireVerified } = require('../middleware/auth');
+const {
+  QueryError,
+  parseAreaUnit,
+  toList,
+  buildPropertyFilter,
+  parseNearPoint,
+  parseSort
+} = require('../utils/propertyQuery');
+const { parseRequestedFacets, baseParams, buildFacetStage } = require('../utils/facets');
+const { permitFields } = require('../middleware/permitFields');
+const { propertyValidation } = require('../middleware/propertyValidation');
+const { applyVisibility, canViewProperty, isOwner } = require('../utils/visibility');
+const { removePropertyAssets } = require('../services/storage');
+const { notifyNewListing } = require('../services/searchAlerts');
+const { keywordSearch } = require('../services/propertySearch');
+const {
+  REVIEWED_STATUSES,
+  ModerationError,
+  canOwnerTransition,
+  materialChanges,
+  changeStatus
+} = require('../services/moderation');
+const { findOrStartConversation, postMessage } = require('../services/conversations');
+const { ensureLead } = require('../services/leads');
+const { normalizeLocation } = require('../services/localities');
+const { displayArea } = require('../utils/area');
+const { priceChangeUpdate, priceReduction } = require('../utils/priceHistory');
+const { notifyPriceDrop } = require('../services/priceAlerts');
+const { MIN_COMPARE, MAX_COMPARE, buildComparison } = require('../services/comparison');
+const { SIMILAR_RADIUS_KM, findSimilar } = require('../services/similarProperties');
+const { assertListingQuota, featureListing, unfeatureListing } = require('../services/plans');
+const { trackEvent, trackImpressions, parseRange, listingAnalytics, ownerAnalytics } = require('../services/analytics');
+const { screenListing, clearFlags } = require('../services/listingScreening');
+
+// Plain listing for responses, flagged when its price was recently reduced and
+// with the area and price per area in the client's preferred unit when given
+const presentProperty = (property, unit) => {
+  const data = property.toObject ? property.toObject() : property;
+  const reduction = priceReduction(data);
+  return {
+    ...data,
+    priceReduced: Boolean(reduction),
+    priceReduction: reduction,
+    ...(unit ? { displayArea: displayArea(data, unit) } : {})
+  };
+};
 
 // Create property
-router.post('/', protect, propertyValidation, async (req, res) => {
+router.post('/', protect, requireVerified, permitFields('Property'), propertyValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    // Store canonical state, city and locality names
+    req.body.location = normalizeLocation(req.body.location);
+
+    await assertListingQuota(req.user);
+
+    // Listings wait for moderation unless an admin posts them
+    const status = req.user.role === 'admin' ? 'active' : 'pending';
+
     const property = await Property.create({
       ...req.body,
-      owner: req.user.id
+      owner: req.user.id,
+      status,
+      statusHistory: [{
+        actor: req.user.id,
+        to: status,
+        note: 'Listing created'
+      }]
     });
 
+    // Duplicate and price checks for the moderation queue
+    await screenListing(property);
+
+    if (property.status === 'active') {
+      notifyNewListing(property);
+    }
+
     res.status(201).json({
       success: true,
       data: property
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error creating property',
       error: error.message
@@ -44,53 +98,114 @@ router.post('/', protect, propertyValidation, async (req, res) => {
   }
 });
 
-// Get all properties with filters
-router.get('/', async (req, res) => {
+// Search properties
+// One handler serves both GET / and GET /search. It combines an optional
+// keyword `q` (full-text, falling back to typo-tolerant locality matching)
+// with the structured filters, near-me (lat, lng, radius in km), map
+// viewport (bbox) and draw-on-map (polygon) searches.
+// sort: relevance (default with q), distance, or a field such as -price / area / pricePerSqFt;
+// featured listings rank ahead of the rest in every order.
+// minArea/maxArea are read in areaUnit (sq ft by default); passing areaUnit also
+// adds a displayArea in that unit to each result. priceReduced=true keeps
+// listings whose price dropped recently.
+// Pass facets=true (or a list such as facets=city,price) for sidebar counts.
+const searchProperties = async (req, res) => {
   try {
     const {
-      propertyType,
-      listingType,
-      minPrice,
-      maxPrice,
-      city,
-      state,
-      bedrooms,
-      bathrooms,
-      amenities,
       page = 1,
       limit = 10,
-      sort = '-createdAt'
+      includeClosed
     } = req.query;
+    const keywords = req.query.q ? String(req.query.q).trim() : '';
+    const sort = req.query.sort || (keywords ? 'relevance' : '-createdAt');
+    const visibility = { includeClosed: includeClosed === 'true' };
 
     // Build query
-    const query = {};
-
-    if (propertyType) query.propertyType = propertyType;
-    if (listingType) query.listingType = listingType;
-    if (city) query['location.city'] = new RegExp(city, 'i');
-    if (state) query['location.state'] = new RegExp(state, 'i');
-    if (bedrooms) query.bedrooms = bedrooms;
-    if (bathrooms) query.bathrooms = bathrooms;
-    if (amenities) query.amenities = { $in: amenities.split(',') };
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
-    }
-
-    // Execute query
-    const properties = await Property.find(query)
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('owner', 'name email phone');
+    const query = applyVisibility(buildPropertyFilter(req.query), req.user, visibility);
+    const near = parseNearPoint(req.query);
+    const sortStage = parseSort(sort);
+    const requestedFacets = parseRequestedFacets(req.query.facets);
+
+    if (sortStage.distance && !near) {
+      throw new QueryError('lat and lng are required to sort by distance');
+    }
+    if (sortStage.distance && keywords) {
+      throw new QueryError('Keyword searches cannot be sorted by distance');
+    }
+
+    let properties;
+    let total;
+    let keywordCondition;
+    let matchMode;
+
+    if (keywords) {
+      const result = await keywordSearch({ query, keywords, sortStage, page, limit });
+      ({ properties, total, mode: matchMode, condition: keywordCondition } = result);
+    } else {
+      // Relevance only means something with keywords; featured listings always lead.
+      // The stored flag is sorted on so the { featured, createdAt } index serves
+      // the default order; expireFeatures clears it within a minute of running out.
+      const effectiveSort = { featured: -1, ...(sortStage.relevance ? { createdAt: -1 } : sortStage) };
+
+      if (near) {
+        // $geoNear has to run first so every result carries its distance (km)
+        properties = await Property.aggregate([
+          {
+            $geoNear: {
+              near: { type: 'Point', coordinates: [near.lng, near.lat] },
+              distanceField: 'distance',
+              distanceMultiplier: 0.001,
+              spherical: true,
+              query
+            }
+          },
+          { $sort: effectiveSort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit * 1 }
+        ]);
+
+        await Property.populate(properties, { path: 'owner', select: 'name email phone' });
+      } else {
+        // Execute query
+        properties = await Property.find(query)
+          .sort(effectiveSort)
+          .limit(limit * 1)
+          .skip((page - 1) * limit)
+          .populate('owner', 'name email phone');
+      }
+
+      // Get total count
+      total = await Property.countDocuments(query);
+    }
+
+    // Optional sidebar counts, each facet ignoring its own filter
+    let facets;
+    if (requestedFacets.length) {
+      const { stage, format } = buildFacetStage(req.query, requestedFacets);
+      let facetBase = applyVisibility(buildPropertyFilter(baseParams(req.query)), req.user, visibility);
+      if (keywordCondition) {
+        // $text has to lead the $match, so it goes in front of the other conditions
+        facetBase = keywordCondition.$text
+          ? { ...keywordCondition, ...facetBase }
+          : { ...facetBase, $and: [...(facetBase.$and || []), keywordCondition] };
+      }
+
+      const [result] = await Property.aggregate([
+        { $match: facetBase },
+        { $facet: stage }
+      ]);
+      facets = format(result);
+    }
 
-    // Get total count
-    const total = await Property.countDocuments(query);
+    const unit = req.query.areaUnit ? parseAreaUnit(req.query.areaUnit) : null;
+    properties = properties.map(property => presentProperty(property, unit));
+    trackImpressions(req, properties);
 
     res.json({
       success: true,
       data: properties,
+      facets,
+      matchMode,
       pagination: {
         total,
         page: page * 1,
@@ -98,20 +213,261 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error fetching properties',
       error: error.message
     });
   }
+};
+
+// Get all properties with filters
+router.get('/', optionalAuth, searchProperties);
+
+// Search properties (declared before /:id so "search" is not taken for an id)
+router.get('/search', optionalAuth, searchProperties);
+
+// Compare 2-4 listings side by side (ids=a,b,c), aligned in the order given
+router.get('/compare', optionalAuth, async (req, res) => {
+  try {
+    const ids = [...new Set(req.query.ids ? toList(req.query.ids) : [])];
+
+    if (ids.length < MIN_COMPARE || ids.length > MAX_COMPARE) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose between ${MIN_COMPARE} and ${MAX_COMPARE} properties to compare`
+      });
+    }
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property id'
+      });
+    }
+
+    const unit = req.query.areaUnit ? parseAreaUnit(req.query.areaUnit) : 'sq ft';
+    const found = await Property.find({ _id: { $in: ids } }).lean();
+
+    // Same rules as the detail page; hidden listings count as missing
+    const properties = ids.map(id => found.find(property => property._id.toString() === id));
+    const missing = ids.filter((id, i) => !properties[i] || !canViewProperty(properties[i], req.user));
+
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: `Property not found: ${missing.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildComparison(properties, unit)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error comparing properties',
+      error: error.message
+    });
+  }
+});
+
+// Get analytics for all of the user's listings: daily series, funnel and per-listing totals
+router.get('/analytics', protect, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+
+    res.json({
+      success: true,
+      data: await ownerAnalytics(req.user._id, range)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fetching analytics',
+      error: error.message
+    });
+  }
+});
+
+// Zoom level from which the map gets individual pins instead of clusters
+const CLUSTER_MAX_ZOOM = 15;
+const CLUSTER_MAX_LISTINGS = 500;
+
+// Get map clusters for a viewport
+// Groups listings into grid cells that shrink as the zoom level grows
+router.get('/clusters', optionalAuth, async (req, res) => {
+  try {
+    const { bbox, zoom } = req.query;
+
+    if (!bbox || zoom === undefined) {
+      throw new QueryError('bbox and zoom are required');
+    }
+
+    const zoomLevel = Number(zoom);
+    if (!Number.isInteger(zoomLevel) || zoomLevel < 0 || zoomLevel > 22) {
+      throw new QueryError('zoom must be an integer between 0 and 22');
+    }
+
+    const query = applyVisibility(buildPropertyFilter(req.query), req.user, {
+      includeClosed: req.query.includeClosed === 'true'
+    });
+
+    if (zoomLevel >= CLUSTER_MAX_ZOOM) {
+      const properties = await Property.find(query)
+        .select('title price listingType propertyType location.coordinates images')
+        .limit(CLUSTER_MAX_LISTINGS);
+
+      return res.json({
+        success: true,
+        type: 'listings',
+        data: properties
+      });
+    }
+
+    // Roughly 8 cells across a 256px tile at each zoom level
+    const cellSize = 360 / (Math.pow(2, zoomLevel) * 8);
+
+    const clusters = await Property.aggregate([
+      { $match: query },
+      {
+        $project: {
+          price: 1,
+          lng: { $arrayElemAt: ['$location.coordinates.coordinates', 0] },
+          lat: { $arrayElemAt: ['$location.coordinates.coordinates', 1] }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            x: { $floor: { $divide: ['$lng', cellSize] } },
+            y: { $floor: { $divide: ['$lat', cellSize] } }
+          },
+          count: { $sum: 1 },
+          lng: { $avg: '$lng' },
+          lat: { $avg: '$lat' },
+          minPrice: { $min: '$price' },
+          maxPrice: { $max: '$price' },
+          propertyId: { $first: '$_id' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          count: 1,
+          centroid: { type: 'Point', coordinates: ['$lng', '$lat'] },
+          minPrice: 1,
+          maxPrice: 1,
+          // Single-listing cells can link straight to the listing
+          propertyId: { $cond: [{ $eq: ['$count', 1] }, '$propertyId', null] }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      type: 'clusters',
+      cellSize,
+      data: clusters
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fetching map clusters',
+      error: error.message
+    });
+  }
 });
 
 // Get single property
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
+    const unit = req.query.areaUnit ? parseAreaUnit(req.query.areaUnit) : null;
     const property = await Property.findById(req.params.id)
-      .populate('owner', 'name email phone')
-      .populate('inquiries.user', 'name email');
+      .populate('owner', 'name email phone');
+
+    // Hidden listings look the same as missing ones
+    if (!property || !canViewProperty(property, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    // Inquiries and moderation details are only for the owner and admins
+    const privileged = isOwner(property, req.user) || (req.user && req.user.role === 'admin');
+    if (privileged) {
+      await property.populate('inquiries.user', 'name email');
+    }
+
+    // Counted once a day per visitor, without bots or the owner
+    trackEvent(req, property, 'view');
+
+    const data = presentProperty(property, unit);
+    if (!privileged) {
+      delete data.inquiries;
+      delete data.statusHistory;
+      delete data.moderation;
+      data.priceHistory = (data.priceHistory || []).map(({ changedBy, ...entry }) => entry);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fetching property',
+      error: error.message
+    });
+  }
+});
+
+// Get listings similar to a property, ranked by closeness in location, type,
+// price, bedrooms and amenities (and, when logged in, likeness to favorites)
+router.get('/:id/similar', optionalAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 6, 1), 20);
+    const radius = req.query.radius ? Number(req.query.radius) : SIMILAR_RADIUS_KM;
+
+    if (Number.isNaN(radius) || radius <= 0 || radius > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'radius must be between 0 and 100 km'
+      });
+    }
+
+    const property = await Property.findById(req.params.id).lean();
+
+    if (!property || !canViewProperty(property, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const similar = await findSimilar(property, req.user, { limit, radius });
+
+    res.json({
+      success: true,
+      data: similar.map(item => presentProperty(item))
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fetching similar properties',
+      error: error.message
+    });
+  }
+});
+
+// Get a listing's daily series and impression-to-inquiry funnel (owner and admins)
+router.get('/:id/analytics', protect, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    const property = await Property.findById(req.params.id).select('owner title');
 
     if (!property) {
       return res.status(404).json({
@@ -120,25 +476,70 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Increment views
-    property.views += 1;
-    await property.save();
+    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view analytics for this property'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        property: { _id: property._id, title: property.title },
+        ...await listingAnalytics(property, range)
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fetching analytics',
+      error: error.message
+    });
+  }
+});
+
+// Reveal the owner's phone number and count the reveal. The number is also on the
+// listing itself; clients call this when showing it so reveals are counted.
+router.post('/:id/phone', protect, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .populate('owner', 'name phone');
+
+    if (!property || !property.owner || !canViewProperty(property, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (!property.owner.phone) {
+      return res.status(404).json({
+        success: false,
+        message: 'The owner has not shared a phone number'
+      });
+    }
+
+    trackEvent(req, property, 'phone-reveal');
 
     res.json({
       success: true,
-      data: property
+      data: {
+        name: property.owner.name,
+        phone: property.owner.phone
+      }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error fetching property',
+      message: 'Error revealing phone number',
       error: error.message
     });
   }
 });
 
 // Update property
-router.put('/:id', protect, propertyValidation, async (req, res) => {
+router.put('/:id', protect, permitFields('Property'), propertyValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -162,18 +563,47 @@ router.put('/:id', protect, propertyValidation, async (req, res) => {
       });
     }
 
+    // Only a location that's being changed is checked, so older listings stay editable
+    if (req.body.location !== undefined) {
+      req.body.location = normalizeLocation(req.body.location);
+    }
+
+    const previous = property;
+    const priceChange = priceChangeUpdate(previous, req.body.price, req.user);
+
     property = await Property.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      priceChange ? { ...req.body, ...priceChange } : req.body,
       { new: true, runValidators: true }
     );
 
+    // Material edits by the owner send a reviewed listing back to the moderation queue
+    const changed = materialChanges(previous, property);
+    if (
+      req.user.role !== 'admin' &&
+      changed.length &&
+      REVIEWED_STATUSES.includes(previous.status)
+    ) {
+      await changeStatus(property, 'pending', req.user, `Edited after review: ${changed.join(', ')}`, {
+        notify: false
+      });
+    }
+
+    if (changed.length || priceChange) {
+      await screenListing(property);
+    }
+
+    // A listing sent back to review holds the alert until it is approved again
+    if (priceChange && property.price < previous.price) {
+      notifyPriceDrop(property, previous.price);
+    }
+
     res.json({
       success: true,
       data: property
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error updating property',
       error: error.message
@@ -201,7 +631,9 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    await property.remove();
+    await property.deleteOne();
+    await removePropertyAssets(property);
+    await clearFlags(property._id);
 
     res.json({
       success: true,
@@ -216,9 +648,17 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// Add property inquiry
-router.post('/:id/inquiries', protect, async (req, res) => {
+// Mark an own listing sold or rented, or relist a closed one (back through review)
+router.put('/:id/status', protect, [
+  body('status').isIn(['sold', 'rented', 'pending']).withMessage('Status must be sold, rented or pending'),
+  body('note').optional().trim()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const property = await Property.findById(req.params.id);
 
     if (!property) {
@@ -228,54 +668,159 @@ router.post('/:id/inquiries', protect, async (req, res) => {
       });
     }
 
-    property.inquiries.push({
-      user: req.user.id,
-      message: req.body.message
+    if (property.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this property'
+      });
+    }
+
+    const { status, note } = req.body;
+    if (!canOwnerTransition(property.status, status)) {
+      throw new ModerationError(`A ${property.status} listing cannot be marked ${status}`);
+    }
+    // A relisted listing takes up a place in the owner's plan again
+    if (status === 'pending') {
+      await assertListingQuota(req.user);
+    }
+
+    await changeStatus(property, status, req.user, note, { notify: false });
+
+    res.json({
+      success: true,
+      data: property
     });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error updating property status',
+      error: error.message
+    });
+  }
+});
 
-    await property.save();
+// Feature a listing, using a slot from the owner's plan
+router.put('/:id/feature', protect, [
+  body('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    res.status(201).json({
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to feature this property'
+      });
+    }
+
+    // Admins aren't held to plan slots and may choose how long the feature lasts
+    await featureListing(property, req.user, { days: req.body.days && Number(req.body.days) });
+
+    res.json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error featuring property',
+      error: error.message
+    });
+  }
+});
+
+// Stop featuring a listing
+router.delete('/:id/feature', protect, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this property'
+      });
+    }
+
+    await unfeatureListing(property);
+
+    res.json({
       success: true,
-      message: 'Inquiry added successfully'
+      data: property
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error adding inquiry',
+      message: 'Error updating property',
       error: error.message
     });
   }
 });
 
-// Search properties
-router.get('/search', async (req, res) => {
+// Add property inquiry
+// Starts (or continues) the seeker's conversation with the owner
+router.post('/:id/inquiries', protect, requireVerified, [
+  body('message').trim().notEmpty().withMessage('Message is required')
+    .isLength({ max: 5000 }).withMessage('Message is too long')
+], async (req, res) => {
   try {
-    const { q } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (!q) {
+    const property = await Property.findById(req.params.id);
+
+    // Listings that aren't public can't be inquired about, same as viewing them
+    if (!property || !canViewProperty(property, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() === req.user.id) {
       return res.status(400).json({
         success: false,
-        message: 'Search query is required'
+        message: 'You cannot send an inquiry about your own property'
       });
     }
 
-    const properties = await Property.find(
-      { $text: { $search: q } },
-      { score: { $meta: 'textScore' } }
-    )
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(10)
-      .populate('owner', 'name email phone');
+    const conversation = await findOrStartConversation(property, req.user.id);
+    const message = await postMessage(conversation, req.user.id, req.body.message);
+    await ensureLead(conversation);
+    trackEvent(req, property, 'inquiry');
 
-    res.json({
+    res.status(201).json({
       success: true,
-      data: properties
+      message: 'Inquiry added successfully',
+      data: {
+        conversation: conversation._id,
+        message
+      }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error searching properties',
+      message: 'Error adding inquiry',
       error: error.message
     });
   }
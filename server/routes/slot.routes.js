@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const Property = require('../models/Property');
+const VisitSlot = require('../models/VisitSlot');
+const { protect } = require('../middleware/auth');
+
+const MAX_SLOT_HOURS = 8;
+
+// Get open visit slots for a property
+router.get('/', async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id).select('status');
+
+    if (!property || property.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const slots = await VisitSlot.find({
+      property: property._id,
+      visit: null,
+      start: { $gt: new Date() }
+    })
+      .select('start end')
+      .sort('start');
+
+    res.json({
+      success: true,
+      data: slots
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching visit slots',
+      error: error.message
+    });
+  }
+});
+
+// Publish availability slots
+router.post('/', protect, [
+  body('slots').isArray({ min: 1, max: 50 }).withMessage('Provide between 1 and 50 slots'),
+  body('slots.*.start').isISO8601().withMessage('Slot start must be a valid date'),
+  body('slots.*.end').isISO8601().withMessage('Slot end must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage visit slots for this property'
+      });
+    }
+
+    // Nobody can book visits on a listing that isn't live
+    if (property.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Visit slots can only be published on active listings'
+      });
+    }
+
+    const now = new Date();
+    const slots = req.body.slots
+      .map(slot => ({ start: new Date(slot.start), end: new Date(slot.end) }))
+      .sort((a, b) => a.start - b.start);
+
+    const invalid = slots.find(slot =>
+      slot.start <= now ||
+      slot.end <= slot.start ||
+      slot.end - slot.start > MAX_SLOT_HOURS * 60 * 60 * 1000
+    );
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Slots must be in the future, end after they start and last at most ${MAX_SLOT_HOURS} hours`
+      });
+    }
+
+    const overlapsNew = slots.some((slot, i) => i > 0 && slot.start < slots[i - 1].end);
+    const overlapsExisting = await VisitSlot.exists({
+      property: property._id,
+      $or: slots.map(slot => ({ start: { $lt: slot.end }, end: { $gt: slot.start } }))
+    });
+
+    if (overlapsNew || overlapsExisting) {
+      return res.status(409).json({
+        success: false,
+        message: 'Slots cannot overlap each other or existing slots'
+      });
+    }
+
+    const created = await VisitSlot.insertMany(slots.map(slot => ({
+      ...slot,
+      property: property._id,
+      owner: property.owner
+    })));
+
+    res.status(201).json({
+      success: true,
+      data: created
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating visit slots',
+      error: error.message
+    });
+  }
+});
+
+// Remove an unbooked slot
+router.delete('/:slotId', protect, async (req, res) => {
+  try {
+    const slot = await VisitSlot.findOne({ _id: req.params.slotId, property: req.params.id });
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    if (slot.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage visit slots for this property'
+      });
+    }
+
+    // Guard against a booking landing between the read and the delete
+    const result = await VisitSlot.deleteOne({ _id: slot._id, visit: null });
+    if (!result.deletedCount) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot has a visit booked; cancel or decline the visit first'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Slot removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing slot',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
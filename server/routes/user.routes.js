@@ -1,15 +1,23 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Property = require('../models/Property');
 const { protect, authorize } = require('../middleware/auth');
+const { permitFields } = require('../middleware/permitFields');
+const { visibilityCondition, canViewProperty } = require('../utils/visibility');
+const { trackEvent } = require('../services/analytics');
 
 // Validation middleware
 const updateProfileValidation = [
   body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
   body('phone').optional().trim(),
-  body('profileImage').optional().trim()
+  body('profileImage').optional().trim(),
+  body('agentProfile.bio').optional().trim(),
+  body('agentProfile.serviceAreas').optional().isArray({ max: 20 }).withMessage('Service areas must be a list of up to 20 places'),
+  body('agentProfile.serviceAreas.*').optional().trim().notEmpty().withMessage('Service areas cannot be empty'),
+  body('agentProfile.experienceYears').optional().isInt({ min: 0 }).withMessage('Experience must be a whole number of years')
 ];
 
 // Get user profile
@@ -17,8 +25,12 @@ router.get('/profile', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user.id)
       .select('-password')
-      .populate('properties', 'title price location images')
-      .populate('favorites', 'title price location images');
+      .populate('properties', 'title price location images status')
+      .populate({
+        path: 'favorites',
+        select: 'title price location images status',
+        match: visibilityCondition(req.user, { includeClosed: true })
+      });
 
     res.json({
       success: true,
@@ -34,7 +46,7 @@ router.get('/profile', protect, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', protect, updateProfileValidation, async (req, res) => {
+router.put('/profile', protect, permitFields('User'), updateProfileValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -83,8 +95,12 @@ router.get('/properties', protect, async (req, res) => {
 // Get user's favorites
 router.get('/favorites', protect, async (req, res) => {
   try {
+    // Favorites that were taken down or sent back to review drop out of the list
     const user = await User.findById(req.user.id)
-      .populate('favorites')
+      .populate({
+        path: 'favorites',
+        match: visibilityCondition(req.user, { includeClosed: true })
+      })
       .select('favorites');
 
     res.json({
@@ -105,7 +121,7 @@ router.post('/favorites/:propertyId', protect, async (req, res) => {
   try {
     const property = await Property.findById(req.params.propertyId);
 
-    if (!property) {
+    if (!property || !canViewProperty(property, req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Property not found'
@@ -123,6 +139,7 @@ router.post('/favorites/:propertyId', protect, async (req, res) => {
 
     user.favorites.push(req.params.propertyId);
     await user.save();
+    trackEvent(req, property, 'favorite');
 
     res.json({
       success: true,
@@ -167,13 +184,24 @@ router.delete('/favorites/:propertyId', protect, async (req, res) => {
   }
 });
 
+const alertFrequencyValidation = body('alertFrequency')
+  .isIn(['instant', 'daily', 'off'])
+  .withMessage('Alert frequency must be instant, daily or off');
+
 // Save search
-router.post('/saved-searches', protect, async (req, res) => {
+router.post('/saved-searches', protect, [
+  alertFrequencyValidation.optional()
+], async (req, res) => {
   try {
-    const { query, filters } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { query, filters, alertFrequency } = req.body;
 
     const user = await User.findById(req.user.id);
-    user.savedSearches.push({ query, filters });
+    user.savedSearches.push({ query, filters, alertFrequency });
     await user.save();
 
     res.status(201).json({
@@ -208,6 +236,90 @@ router.get('/saved-searches', protect, async (req, res) => {
   }
 });
 
+// Update saved search alert frequency
+router.put('/saved-searches/:searchId/alerts', protect, [
+  alertFrequencyValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id);
+    const search = user.savedSearches.id(req.params.searchId);
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    search.alertFrequency = req.body.alertFrequency;
+    if (search.alertFrequency === 'off') search.pendingMatches = [];
+    await user.save();
+
+    res.json({
+      success: true,
+      data: search
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating search alerts',
+      error: error.message
+    });
+  }
+});
+
+// Unsubscribe from saved search alerts (link in alert emails, no login needed)
+router.get('/saved-searches/:searchId/unsubscribe', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    // A token that isn't a plain string could be a query operator like token[$ne]
+    if (typeof token !== 'string' || !token || !mongoose.isValidObjectId(req.params.searchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    const result = await User.updateOne(
+      {
+        savedSearches: {
+          $elemMatch: { _id: req.params.searchId, unsubscribeToken: token }
+        }
+      },
+      {
+        $set: {
+          'savedSearches.$.alertFrequency': 'off',
+          'savedSearches.$.pendingMatches': []
+        }
+      }
+    );
+
+    if (!result.matchedCount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You will no longer receive alerts for this search'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unsubscribing from alerts',
+      error: error.message
+    });
+  }
+});
+
 // Delete saved search
 router.delete('/saved-searches/:searchId', protect, async (req, res) => {
   try {
@@ -230,4 +342,55 @@ router.delete('/saved-searches/:searchId', protect, async (req, res) => {
   }
 });
 
+// Get price drop alert settings
+router.get('/price-alerts', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('priceDropAlerts');
+
+    res.json({
+      success: true,
+      data: user.priceDropAlerts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price alert settings',
+      error: error.message
+    });
+  }
+});
+
+// Update price drop alert settings for favorited listings
+router.put('/price-alerts', protect, [
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false'),
+  body('minPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Minimum drop must be between 0 and 100 percent')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('priceDropAlerts');
+    if (req.body.enabled !== undefined) {
+      user.priceDropAlerts.enabled = req.body.enabled === true || req.body.enabled === 'true';
+    }
+    if (req.body.minPercent !== undefined) {
+      user.priceDropAlerts.minPercent = Number(req.body.minPercent);
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user.priceDropAlerts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating price alert settings',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
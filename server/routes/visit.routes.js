@@ -0,0 +1,387 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Property = require('../models/Property');
+const Visit = require('../models/Visit');
+const VisitSlot = require('../models/VisitSlot');
+const { protect, requireVerified } = require('../middleware/auth');
+const { claimSlot, releaseSlot, notifyVisit, advanceLead } = require('../services/visits');
+const { toList } = require('../utils/propertyQuery');
+const { buildIcs } = require('../utils/ics');
+
+router.use(protect);
+
+const populateVisit = query => query
+  .populate('property', 'title location')
+  .populate('seeker', 'name email phone')
+  .populate('owner', 'name email phone');
+
+// Load a visit the current user is the seeker or owner of
+const loadVisit = async (req, res, next) => {
+  try {
+    const visit = await populateVisit(Visit.findOne({
+      _id: req.params.visitId,
+      $or: [{ seeker: req.user._id }, { owner: req.user._id }]
+    }));
+
+    if (!visit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit not found'
+      });
+    }
+
+    req.visit = visit;
+    req.isOwner = visit.owner._id.equals(req.user._id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rejectStatus = (res, visit, action) => res.status(409).json({
+  success: false,
+  message: `A ${visit.status} visit cannot be ${action}`
+});
+
+// Book a visit
+router.post('/', requireVerified, [
+  body('slotId').isMongoId().withMessage('Invalid slot id'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note is too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slot = await VisitSlot.findById(req.body.slotId);
+    const property = slot && await Property.findById(slot.property).select('status owner');
+
+    if (!slot || !property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    if (property.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Visits can only be booked on active listings'
+      });
+    }
+
+    if (property.owner.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot book a visit to your own property'
+      });
+    }
+
+    const visitId = new mongoose.Types.ObjectId();
+    if (!(await claimSlot(slot._id, property._id, visitId))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is no longer available'
+      });
+    }
+
+    try {
+      await Visit.create({
+        _id: visitId,
+        property: property._id,
+        slot: slot._id,
+        seeker: req.user._id,
+        owner: property.owner,
+        start: slot.start,
+        end: slot.end,
+        note: req.body.note
+      });
+    } catch (error) {
+      // Otherwise the slot stays claimed by a visit that doesn't exist
+      await releaseSlot({ _id: visitId, slot: slot._id });
+      throw error;
+    }
+
+    const visit = await populateVisit(Visit.findById(visitId));
+    await notifyVisit(visit, visit.owner, `${visit.seeker.name} requested a site visit`, visit.note);
+
+    res.status(201).json({
+      success: true,
+      data: visit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error booking visit',
+      error: error.message
+    });
+  }
+});
+
+// Get my visits
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, role, status, upcoming } = req.query;
+
+    let query;
+    if (role === 'seeker') query = { seeker: req.user._id };
+    else if (role === 'owner') query = { owner: req.user._id };
+    else query = { $or: [{ seeker: req.user._id }, { owner: req.user._id }] };
+
+    if (status) query.status = { $in: toList(status) };
+    if (upcoming === 'true') query.start = { $gt: new Date() };
+
+    const visits = await populateVisit(
+      Visit.find(query)
+        .sort(upcoming === 'true' ? 'start' : '-start')
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+    );
+
+    const total = await Visit.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: visits,
+      pagination: {
+        total,
+        page: page * 1,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching visits',
+      error: error.message
+    });
+  }
+});
+
+// Get single visit
+router.get('/:visitId', loadVisit, (req, res) => {
+  res.json({
+    success: true,
+    data: req.visit
+  });
+});
+
+// Download visit as calendar file
+router.get('/:visitId/ics', loadVisit, (req, res) => {
+  const { visit } = req;
+  const counterpart = req.isOwner ? visit.seeker : visit.owner;
+
+  const ics = buildIcs({
+    uid: `visit-${visit._id}@101acres`,
+    start: visit.start,
+    end: visit.end,
+    summary: `Site visit: ${visit.property.title}`,
+    description: `With ${counterpart.name}${counterpart.phone ? ` (${counterpart.phone})` : ''}`,
+    location: [visit.property.location.address, visit.property.location.city].filter(Boolean).join(', '),
+    status: ['confirmed', 'completed'].includes(visit.status)
+      ? 'CONFIRMED'
+      : visit.status === 'requested' ? 'TENTATIVE' : 'CANCELLED'
+  });
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="visit-${visit._id}.ics"`);
+  res.send(ics);
+});
+
+// Confirm visit (owner)
+router.put('/:visitId/confirm', loadVisit, async (req, res) => {
+  try {
+    const { visit } = req;
+
+    if (!req.isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can confirm a visit'
+      });
+    }
+    if (visit.status !== 'requested') return rejectStatus(res, visit, 'confirmed');
+
+    visit.status = 'confirmed';
+    await visit.save();
+    await advanceLead(visit);
+    await notifyVisit(visit, visit.seeker, 'Your site visit is confirmed');
+
+    res.json({
+      success: true,
+      data: visit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming visit',
+      error: error.message
+    });
+  }
+});
+
+// Mark a confirmed visit as done once it has started (owner)
+router.put('/:visitId/complete', loadVisit, async (req, res) => {
+  try {
+    const { visit } = req;
+
+    if (!req.isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can complete a visit'
+      });
+    }
+    if (visit.status !== 'confirmed') return rejectStatus(res, visit, 'completed');
+    if (visit.start > new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'A visit cannot be completed before it starts'
+      });
+    }
+
+    visit.status = 'completed';
+    await visit.save();
+
+    res.json({
+      success: true,
+      data: visit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error completing visit',
+      error: error.message
+    });
+  }
+});
+
+// Decline visit request (owner)
+router.put('/:visitId/decline', [
+  body('reason').optional().trim()
+], loadVisit, async (req, res) => {
+  try {
+    const { visit } = req;
+
+    if (!req.isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can decline a visit'
+      });
+    }
+    if (visit.status !== 'requested') return rejectStatus(res, visit, 'declined');
+
+    visit.status = 'declined';
+    visit.reason = req.body.reason;
+    await visit.save();
+    await releaseSlot(visit);
+    await notifyVisit(visit, visit.seeker, 'Your site visit request was declined', visit.reason);
+
+    res.json({
+      success: true,
+      data: visit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error declining visit',
+      error: error.message
+    });
+  }
+});
+
+// Reschedule visit to another slot (seeker); needs the owner's confirmation again
+router.put('/:visitId/reschedule', [
+  body('slotId').isMongoId().withMessage('Invalid slot id')
+], loadVisit, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { visit } = req;
+
+    if (req.isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the seeker can reschedule a visit'
+      });
+    }
+    if (!['requested', 'confirmed'].includes(visit.status)) {
+      return rejectStatus(res, visit, 'rescheduled');
+    }
+
+    const property = await Property.findById(visit.property._id).select('status');
+    if (!property || property.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Visits can only be booked on active listings'
+      });
+    }
+
+    const slot = await claimSlot(req.body.slotId, visit.property._id, visit._id);
+    if (!slot) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is no longer available'
+      });
+    }
+
+    await releaseSlot(visit);
+
+    visit.slot = slot._id;
+    visit.start = slot.start;
+    visit.end = slot.end;
+    visit.status = 'requested';
+    await visit.save();
+    await notifyVisit(visit, visit.owner, `${visit.seeker.name} rescheduled a site visit`);
+
+    res.json({
+      success: true,
+      data: visit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling visit',
+      error: error.message
+    });
+  }
+});
+
+// Cancel visit (either side)
+router.put('/:visitId/cancel', [
+  body('reason').optional().trim()
+], loadVisit, async (req, res) => {
+  try {
+    const { visit } = req;
+
+    if (!['requested', 'confirmed'].includes(visit.status)) {
+      return rejectStatus(res, visit, 'cancelled');
+    }
+
+    visit.status = 'cancelled';
+    visit.cancelledBy = req.user._id;
+    visit.reason = req.body.reason;
+    await visit.save();
+    await releaseSlot(visit);
+
+    const recipient = req.isOwner ? visit.seeker : visit.owner;
+    await notifyVisit(visit, recipient, `${req.user.name} cancelled the site visit`, visit.reason);
+
+    res.json({
+      success: true,
+      data: visit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling visit',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
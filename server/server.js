@@ -4,6 +4,9 @@ const cors = require('cors');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
 const path = require('path');
+const Property = require('./models/Property');
+const User = require('./models/User');
+const { migrateLegacyInquiries } = require('./services/conversations');
 
 // Load environment variables
 dotenv.config();
@@ -22,8 +25,17 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Routes (to be implemented)
 app.use('/api/auth', require('./routes/auth.routes'));
+app.use('/api/properties/bulk', require('./routes/bulk.routes'));
+app.use('/api/properties/:id/images', require('./routes/image.routes'));
+app.use('/api/properties/:id/slots', require('./routes/slot.routes'));
 app.use('/api/properties', require('./routes/property.routes'));
 app.use('/api/users', require('./routes/user.routes'));
+app.use('/api/locations', require('./routes/location.routes'));
+app.use('/api/agents', require('./routes/agent.routes'));
+app.use('/api/plans', require('./routes/plan.routes'));
+app.use('/api/conversations', require('./routes/conversation.routes'));
+app.use('/api/leads', require('./routes/lead.routes'));
+app.use('/api/visits', require('./routes/visit.routes'));
 app.use('/api/admin', require('./routes/admin.routes'));
 
 // Error handling middleware
@@ -41,11 +53,48 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  // Listings created before areas were normalized, saved searches from before
+  // alerts and inquiries from before conversations
+  return Promise.all([
+    Property.backfillNormalizedAreas(),
+    User.backfillSavedSearchAlerts(),
+    migrateLegacyInquiries()
+  ]);
+})
 .catch((err) => console.error('MongoDB connection error:', err));
 
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
-}); 
\ No newline at end of file
+});
+
+// Background jobs
+const { sendDailyDigests } = require('./services/searchAlerts');
+const { sendFollowUpReminders } = require('./services/leads');
+const { expireFeatures, expireSubscriptions } = require('./services/plans');
+const HOUR = 60 * 60 * 1000;
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const FIVE_MINUTES = 5 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+// Each search gets its digest once a day; checking hourly keeps restarts from skipping it
+setInterval(() => {
+  sendDailyDigests().catch(err => console.error('Daily digest job failed:', err));
+}, HOUR);
+
+setInterval(() => {
+  sendFollowUpReminders().catch(err => console.error('Follow-up reminder job failed:', err));
+}, FIFTEEN_MINUTES);
+
+// Searches rank on the stored featured flag, so features are cleared promptly once they run out
+setInterval(() => {
+  expireFeatures().catch(err => console.error('Featured expiry job failed:', err));
+}, MINUTE);
+
+// Paid plans drop back to free once they run out
+setInterval(() => {
+  expireSubscriptions().catch(err => console.error('Subscription expiry job failed:', err));
+}, FIVE_MINUTES);
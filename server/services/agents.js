@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Visit = require('../models/Visit');
+const Lead = require('../models/Lead');
+const Review = require('../models/Review');
+
+// Window of inquiries the response-time stats are based on
+const RESPONSE_WINDOW_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+const toObjectId = id => new mongoose.Types.ObjectId(id.toString());
+
+// The listing that lets `authorId` review `agentId`: one they inquired about
+// (or were handled on as a lead) or visited. Null when they never dealt with the agent.
+const findReviewBasis = async (authorId, agentId) => {
+  const [conversation, lead, visit] = await Promise.all([
+    Conversation.findOne({ seeker: authorId, owner: agentId }).select('property'),
+    Lead.findOne({ seeker: authorId, assignedAgent: agentId }).select('property'),
+    Visit.findOne({ seeker: authorId, owner: agentId, status: { $in: ['confirmed', 'completed'] } })
+      .select('property')
+  ]);
+
+  const basis = conversation || lead || visit;
+  return basis ? basis.property : null;
+};
+
+// Average rating, count and 1-5 star distribution over published reviews
+const ratingSummary = async (agentId) => {
+  const rows = await Review.aggregate([
+    { $match: { agent: toObjectId(agentId), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+  rows.forEach((row) => {
+    distribution[row._id] = row.count;
+    count += row.count;
+    sum += row._id * row.count;
+  });
+
+  return {
+    average: count ? Math.round((sum / count) * 10) / 10 : null,
+    count,
+    distribution
+  };
+};
+
+// How often and how fast the agent answers new inquiries on their listings
+const responseStats = async (agentId) => {
+  const agent = toObjectId(agentId);
+  const conversations = await Conversation.find({
+    owner: agent,
+    createdAt: { $gte: new Date(Date.now() - RESPONSE_WINDOW_DAYS * DAY) }
+  }).distinct('_id');
+
+  if (!conversations.length) {
+    return { inquiries: 0, responseRate: null, averageResponseMinutes: null };
+  }
+
+  // First message from each side of every conversation
+  const threads = await Message.aggregate([
+    { $match: { conversation: { $in: conversations } } },
+    {
+      $group: {
+        _id: '$conversation',
+        firstInquiryAt: { $min: { $cond: [{ $ne: ['$sender', agent] }, '$createdAt', null] } },
+        firstReplyAt: { $min: { $cond: [{ $eq: ['$sender', agent] }, '$createdAt', null] } }
+      }
+    }
+  ]);
+
+  const inquiries = threads.filter(thread => thread.firstInquiryAt);
+  const replied = inquiries.filter(thread => thread.firstReplyAt && thread.firstReplyAt >= thread.firstInquiryAt);
+  const totalMinutes = replied.reduce(
+    (sum, thread) => sum + (thread.firstReplyAt - thread.firstInquiryAt) / 60000,
+    0
+  );
+
+  return {
+    inquiries: inquiries.length,
+    responseRate: inquiries.length ? Math.round((replied.length / inquiries.length) * 100) : null,
+    averageResponseMinutes: replied.length ? Math.round(totalMinutes / replied.length) : null
+  };
+};
+
+module.exports = {
+  RESPONSE_WINDOW_DAYS,
+  findReviewBasis,
+  ratingSummary,
+  responseStats
+};
@@ -0,0 +1,241 @@
+// Listing analytics. Impressions in search results, detail views, phone
+// reveals, inquiries and favorites are logged as ListingEvents, at most one
+// per visitor, listing, type and UTC day, so refreshes count once and bots
+// and owners looking at their own listings not at all.
+
+const crypto = require('crypto');
+const Property = require('../models/Property');
+const ListingEvent = require('../models/ListingEvent');
+const { isOwner } = require('../utils/visibility');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const { EVENT_TYPES } = ListingEvent;
+const FUNNEL_STAGES = ['impression', 'view', 'inquiry'];
+
+// Crawlers, link previews and scripted clients; requests without a user agent count too
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|lighthouse|curl|wget|python-requests|httpclient|okhttp|axios|node-fetch/i;
+
+// Error for bad report ranges, with the status to respond with
+class AnalyticsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.statusCode = 400;
+  }
+}
+
+const isBot = (req) => {
+  const agent = req.get('user-agent');
+  return !agent || BOT_PATTERN.test(agent);
+};
+
+// Logged-in visitors are their account; anonymous ones a hash of IP and user agent
+const visitorKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  const hash = crypto.createHash('sha256')
+    .update(`${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex');
+  return `anon:${hash.slice(0, 32)}`;
+};
+
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Upsert filter and insert-only fields of a visitor's event on a listing today
+const eventWrite = (req, property, type, now) => ({
+  filter: { property: property._id, type, visitor: visitorKey(req), day: dayKey(now) },
+  update: {
+    $setOnInsert: {
+      owner: property.owner._id || property.owner,
+      user: req.user ? req.user._id : undefined,
+      createdAt: now
+    }
+  },
+  upsert: true
+});
+
+// Log one event; resolves true when it is the visitor's first of its kind today.
+// Views that count also bump the listing's running views total.
+const recordEvent = async (req, property, type) => {
+  if (isBot(req) || isOwner(property, req.user)) return false;
+
+  const { filter, update } = eventWrite(req, property, type, new Date());
+  let created;
+  try {
+    const result = await ListingEvent.updateOne(filter, update, { upsert: true });
+    created = result.upsertedCount > 0;
+  } catch (error) {
+    // Two requests upserting the same event at once; the other one won
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  if (created && type === 'view') {
+    await Property.updateOne({ _id: property._id }, { $inc: { views: 1 } });
+  }
+  return created;
+};
+
+// Log an impression for each listing on a results page
+const recordImpressions = async (req, properties) => {
+  if (isBot(req)) return 0;
+
+  const now = new Date();
+  const operations = properties
+    .filter(property => property.owner && !isOwner(property, req.user))
+    .map(property => ({ updateOne: eventWrite(req, property, 'impression', now) }));
+  if (!operations.length) return 0;
+
+  try {
+    const result = await ListingEvent.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount;
+  } catch (error) {
+    if (error.code === 11000) return error.result ? error.result.upsertedCount : 0;
+    throw error;
+  }
+};
+
+// Fire-and-forget versions for request handlers: analytics never hold up or fail a response
+const trackEvent = (req, property, type) => {
+  recordEvent(req, property, type).catch((error) => {
+    console.error(`Recording ${type} for property ${property._id} failed:`, error.message);
+  });
+};
+
+const trackImpressions = (req, properties) => {
+  recordImpressions(req, properties).catch((error) => {
+    console.error('Recording impressions failed:', error.message);
+  });
+};
+
+const parseDay = (value, name) => {
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+  // Round-tripping catches dates like 02-31 that Date.parse rolls over
+  if (Number.isNaN(time) || dayKey(new Date(time)) !== value) {
+    throw new AnalyticsError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+};
+
+// Report range from `from`/`to` query values (inclusive UTC days), the last 30 days by default
+const parseRange = ({ from, to } = {}) => {
+  const end = to ? parseDay(to, 'to') : dayKey();
+  const start = from
+    ? parseDay(from, 'from')
+    : dayKey(new Date(Date.parse(`${end}T00:00:00Z`) - (DEFAULT_RANGE_DAYS - 1) * DAY));
+
+  const days = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY + 1;
+  if (days < 1) {
+    throw new AnalyticsError('from must not be after to');
+  }
+  if (days > MAX_RANGE_DAYS) {
+    throw new AnalyticsError(`Reports can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { from: start, to: end };
+};
+
+const daysBetween = (from, to) => {
+  const days = [];
+  for (let time = Date.parse(`${from}T00:00:00Z`); time <= Date.parse(`${to}T00:00:00Z`); time += DAY) {
+    days.push(dayKey(new Date(time)));
+  }
+  return days;
+};
+
+const emptyCounts = () => Object.fromEntries(EVENT_TYPES.map(type => [type, 0]));
+
+const rate = (count, base) => (base ? Math.round((count / base) * 1000) / 10 : null);
+
+// Unique visitors at each stage, with the share carried over from the previous
+// stage and from impressions. Stages are counted independently, so a visitor
+// arriving from a shared link can inquire without an impression.
+const buildFunnel = visitors => FUNNEL_STAGES.map((stage, index) => ({
+  stage,
+  visitors: visitors[stage] || 0,
+  rate: index ? rate(visitors[stage] || 0, visitors[FUNNEL_STAGES[index - 1]] || 0) : null,
+  overall: index ? rate(visitors[stage] || 0, visitors.impression || 0) : null
+}));
+
+// Daily unique visitors per event type, totals and funnel for the events matching `match`
+const summarize = async (match, range) => {
+  const condition = { ...match, day: { $gte: range.from, $lte: range.to } };
+
+  const [daily, unique] = await Promise.all([
+    ListingEvent.aggregate([
+      { $match: condition },
+      { $group: { _id: { day: '$day', type: '$type' }, count: { $sum: 1 } } }
+    ]),
+    ListingEvent.aggregate([
+      { $match: condition },
+      { $group: { _id: { type: '$type', visitor: '$visitor' } } },
+      { $group: { _id: '$_id.type', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const byDay = new Map(daysBetween(range.from, range.to).map(day => [day, emptyCounts()]));
+  const totals = emptyCounts();
+  daily.forEach(({ _id, count }) => {
+    if (byDay.has(_id.day)) byDay.get(_id.day)[_id.type] = count;
+    totals[_id.type] += count;
+  });
+
+  const visitors = emptyCounts();
+  unique.forEach(({ _id, count }) => { visitors[_id] = count; });
+
+  return {
+    range,
+    series: [...byDay].map(([date, values]) => ({ date, ...values })),
+    totals,
+    visitors,
+    funnel: buildFunnel(visitors)
+  };
+};
+
+const listingAnalytics = (property, range) => summarize({ property: property._id }, range);
+
+// Every listing an owner has, with its totals, plus the combined report
+const ownerAnalytics = async (owner, range) => {
+  const [overall, perListing, properties] = await Promise.all([
+    summarize({ owner }, range),
+    ListingEvent.aggregate([
+      { $match: { owner, day: { $gte: range.from, $lte: range.to } } },
+      { $group: { _id: { property: '$property', type: '$type' }, count: { $sum: 1 } } }
+    ]),
+    Property.find({ owner }).select('title status views createdAt').sort('-createdAt').lean()
+  ]);
+
+  const totals = new Map(properties.map(property => [property._id.toString(), emptyCounts()]));
+  perListing.forEach(({ _id, count }) => {
+    const listing = totals.get(_id.property.toString());
+    if (listing) listing[_id.type] = count;
+  });
+
+  return {
+    ...overall,
+    listings: properties.map(property => {
+      const listingTotals = totals.get(property._id.toString());
+      return {
+        ...property,
+        totals: listingTotals,
+        inquiryRate: rate(listingTotals.inquiry, listingTotals.impression)
+      };
+    })
+  };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  FUNNEL_STAGES,
+  AnalyticsError,
+  isBot,
+  visitorKey,
+  recordEvent,
+  recordImpressions,
+  trackEvent,
+  trackImpressions,
+  parseRange,
+  listingAnalytics,
+  ownerAnalytics
+};
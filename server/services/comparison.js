@@ -0,0 +1,134 @@
+// Side-by-side comparison of a shortlist of listings. Rows line up one value per
+// listing (in the order requested) and mark which listings have the best and
+// worst value where a row has a clear "better" direction.
+
+const { displayArea } = require('../utils/area');
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+const FURNISHING_RANK = {
+  Unfurnished: 0,
+  'Semi-Furnished': 1,
+  Furnished: 2
+};
+
+// better: 'lower' / 'higher' picks the direction, null means nothing to rank;
+// inAreaUnit rows are expressed in the requested area unit
+const ROWS = [
+  { key: 'price', label: 'Price', better: 'lower', value: property => property.price },
+  {
+    key: 'pricePerArea',
+    label: 'Price per area',
+    better: 'lower',
+    inAreaUnit: true,
+    value: (property, unit) => {
+      const area = displayArea(property, unit);
+      return area ? area.pricePerUnit : null;
+    }
+  },
+  {
+    key: 'area',
+    label: 'Area',
+    better: 'higher',
+    inAreaUnit: true,
+    value: (property, unit) => {
+      const area = displayArea(property, unit);
+      return area ? area.value : null;
+    }
+  },
+  { key: 'bedrooms', label: 'Bedrooms', better: 'higher', value: property => property.bedrooms },
+  { key: 'bathrooms', label: 'Bathrooms', better: 'higher', value: property => property.bathrooms },
+  { key: 'floor', label: 'Floor', better: null, value: property => property.floor },
+  { key: 'age', label: 'Age (years)', better: 'lower', value: property => property.age },
+  { key: 'facing', label: 'Facing', better: null, value: property => property.facing },
+  {
+    key: 'furnishing',
+    label: 'Furnishing',
+    better: 'higher',
+    value: property => property.furnishing,
+    rank: value => FURNISHING_RANK[value]
+  },
+  {
+    key: 'amenityCount',
+    label: 'Amenities',
+    better: 'higher',
+    value: property => (property.amenities || []).length
+  }
+];
+
+const isMissing = value => value === undefined || value === null;
+
+// Indexes of the best and worst values; empty when fewer than two listings
+// have a value or they are all equal
+const rankRow = (values, better, rank = value => value) => {
+  const ranked = values
+    .map((value, index) => ({ index, score: isMissing(value) ? undefined : rank(value) }))
+    .filter(item => typeof item.score === 'number');
+
+  if (!better || ranked.length < 2) return { best: [], worst: [] };
+
+  const scores = ranked.map(item => item.score);
+  const high = Math.max(...scores);
+  const low = Math.min(...scores);
+  if (high === low) return { best: [], worst: [] };
+
+  const top = ranked.filter(item => item.score === high).map(item => item.index);
+  const bottom = ranked.filter(item => item.score === low).map(item => item.index);
+  return better === 'higher' ? { best: top, worst: bottom } : { best: bottom, worst: top };
+};
+
+// Build the comparison matrix for listings already checked for visibility
+const buildComparison = (properties, unit = 'sq ft') => {
+  const rows = ROWS.map((row) => {
+    const values = properties.map((property) => {
+      const value = row.value(property, unit);
+      return isMissing(value) ? null : value;
+    });
+    return {
+      key: row.key,
+      label: row.label,
+      ...(row.inAreaUnit ? { unit } : {}),
+      values,
+      ...rankRow(values, row.better, row.rank)
+    };
+  });
+
+  const amenityNames = [...new Set(properties.reduce(
+    (all, property) => all.concat(property.amenities || []),
+    []
+  ))].sort();
+
+  const amenities = amenityNames.map(amenity => ({
+    amenity,
+    present: properties.map(property => (property.amenities || []).includes(amenity))
+  }));
+
+  return {
+    properties: properties.map((property) => {
+      const cover = (property.images || []).find(image => image.isCover) || (property.images || [])[0];
+      return {
+        _id: property._id,
+        title: property.title,
+        propertyType: property.propertyType,
+        listingType: property.listingType,
+        status: property.status,
+        location: {
+          city: property.location.city,
+          locality: property.location.locality,
+          state: property.location.state
+        },
+        image: cover ? cover.thumbnail || cover.url : null
+      };
+    }),
+    rows,
+    amenities
+  };
+};
+
+module.exports = {
+  MIN_COMPARE,
+  MAX_COMPARE,
+  rankRow,
+  buildComparison
+};
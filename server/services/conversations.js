@@ -0,0 +1,133 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Property = require('../models/Property');
+const { ensureLead } = require('./leads');
+
+const PREVIEW_LENGTH = 200;
+
+// Field holding the unread counter for a participant role
+const unreadField = role => (role === 'seeker' ? 'seekerUnread' : 'ownerUnread');
+
+// Find or open the thread between a seeker and a property's owner
+const findOrStartConversation = (property, seekerId) => Conversation.findOneAndUpdate(
+  { property: property._id, seeker: seekerId },
+  { $setOnInsert: { owner: property.owner } },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+// Add a message from one participant and bump the other side's unread count
+const postMessage = async (conversation, senderId, body) => {
+  const role = conversation.participantRole(senderId);
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    body
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          body: message.body.slice(0, PREVIEW_LENGTH),
+          sender: senderId,
+          createdAt: message.createdAt
+        },
+        lastMessageAt: message.createdAt
+      },
+      $inc: { [unreadField(role === 'seeker' ? 'owner' : 'seeker')]: 1 }
+    }
+  );
+
+  return message;
+};
+
+// Mark everything the other side sent as read for this participant
+const markRead = async (conversation, userId) => {
+  const role = conversation.participantRole(userId);
+
+  await Promise.all([
+    Message.updateMany(
+      { conversation: conversation._id, sender: { $ne: userId }, readAt: null },
+      { readAt: new Date() }
+    ),
+    Conversation.updateOne(
+      { _id: conversation._id },
+      { [unreadField(role)]: 0 }
+    )
+  ]);
+};
+
+// Point a conversation's preview at its newest message
+const refreshLastMessage = async (conversationId) => {
+  const latest = await Message.findOne({ conversation: conversationId }).sort('-createdAt');
+  if (!latest) return;
+
+  await Conversation.updateOne(
+    { _id: conversationId },
+    {
+      $set: {
+        lastMessage: {
+          body: latest.body.slice(0, PREVIEW_LENGTH),
+          sender: latest.sender,
+          createdAt: latest.createdAt
+        },
+        lastMessageAt: latest.createdAt
+      }
+    }
+  );
+};
+
+// Copy inquiries embedded in Property.inquiries into conversations so old
+// threads show up in the inbox. Safe to run on every start: each inquiry is
+// copied once, keyed on its id, and the embedded entries are left in place.
+const migrateLegacyInquiries = async () => {
+  const properties = Property.find({ 'inquiries.0': { $exists: true } })
+    .select('owner inquiries')
+    .lean()
+    .cursor();
+
+  let migrated = 0;
+  for await (const property of properties) {
+    const touched = new Set();
+
+    for (const inquiry of property.inquiries) {
+      if (!inquiry.user || !inquiry.message || !inquiry.message.trim()) continue;
+      if (inquiry.user.toString() === property.owner.toString()) continue;
+
+      const conversation = await findOrStartConversation(property, inquiry.user);
+      const createdAt = inquiry.createdAt || new Date();
+      const result = await Message.updateOne(
+        { legacyInquiry: inquiry._id },
+        {
+          $setOnInsert: {
+            conversation: conversation._id,
+            sender: inquiry.user,
+            body: inquiry.message.trim().slice(0, 5000),
+            readAt: createdAt,
+            createdAt,
+            updatedAt: createdAt
+          }
+        },
+        { upsert: true, timestamps: false }
+      );
+
+      if (result.upsertedCount) {
+        migrated += 1;
+        touched.add(conversation._id.toString());
+        await ensureLead(conversation);
+      }
+    }
+
+    await Promise.all([...touched].map(refreshLastMessage));
+  }
+  return migrated;
+};
+
+module.exports = {
+  unreadField,
+  findOrStartConversation,
+  postMessage,
+  markRead,
+  migrateLegacyInquiries
+};
@@ -0,0 +1,117 @@
+// Transactional email templates; each returns { subject, text, html }
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = body => `
+<div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #222;">
+  ${body}
+  <p style="color: #888; font-size: 12px;">101acres &ndash; find your next home</p>
+</div>`;
+
+exports.verifyEmail = ({ name, link }) => ({
+  subject: 'Verify your 101acres email address',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Please confirm your email address to start posting listings and contacting owners:',
+    link,
+    '',
+    'This link expires in 24 hours.'
+  ].join('\n'),
+  html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>Please confirm your email address to start posting listings and contacting owners.</p>
+  <p><a href="${link}">Verify my email</a></p>
+  <p>This link expires in 24 hours.</p>`)
+});
+
+exports.resetPassword = ({ name, link }) => ({
+  subject: 'Reset your 101acres password',
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset your password. Use the link below to choose a new one:',
+    link,
+    '',
+    'This link expires in 1 hour and can only be used once.',
+    'If you did not ask for a reset, you can ignore this email.'
+  ].join('\n'),
+  html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>We received a request to reset your password. Use the link below to choose a new one.</p>
+  <p><a href="${link}">Reset my password</a></p>
+  <p>This link expires in 1 hour and can only be used once.</p>
+  <p>If you did not ask for a reset, you can ignore this email.</p>`)
+});
+
+exports.followUpReminder = ({ name, seekerName, propertyTitle, notes = [], link }) => ({
+  subject: `Follow up with ${seekerName} about ${propertyTitle}`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `A follow-up with ${seekerName} about "${propertyTitle}" is due.`,
+    ...notes.map(note => `- ${note}`),
+    '',
+    `Open the lead: ${link}`
+  ].join('\n'),
+  html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>A follow-up with ${escapeHtml(seekerName)} about &ldquo;${escapeHtml(propertyTitle)}&rdquo; is due.</p>
+  ${notes.length ? `<ul>${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>` : ''}
+  <p><a href="${link}">Open the lead</a></p>`)
+});
+
+exports.visitUpdate = ({ name, headline, propertyTitle, when, note, link }) => ({
+  subject: `${headline}: ${propertyTitle}`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `${headline} for "${propertyTitle}" on ${when}.`,
+    note ? `Note: ${note}` : null,
+    '',
+    `View the visit: ${link}`
+  ].filter(line => line !== null).join('\n'),
+  html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>${escapeHtml(headline)} for &ldquo;${escapeHtml(propertyTitle)}&rdquo; on ${escapeHtml(when)}.</p>
+  ${note ? `<p>Note: ${escapeHtml(note)}</p>` : ''}
+  <p><a href="${link}">View the visit</a></p>`)
+});
+
+exports.listingStatus = ({ name, headline, propertyTitle, note, link }) => ({
+  subject: `${headline}: ${propertyTitle}`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `${headline}: "${propertyTitle}".`,
+    note ? `Moderator note: ${note}` : null,
+    '',
+    `View your listing: ${link}`
+  ].filter(line => line !== null).join('\n'),
+  html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>${escapeHtml(headline)}: &ldquo;${escapeHtml(propertyTitle)}&rdquo;.</p>
+  ${note ? `<p>Moderator note: ${escapeHtml(note)}</p>` : ''}
+  <p><a href="${link}">View your listing</a></p>`)
+});
+
+exports.priceDrop = ({ name, propertyTitle, from, to, percent, link }) => ({
+  subject: `Price drop: ${propertyTitle} is now ${to}`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `"${propertyTitle}", a listing you saved, dropped ${percent}% from ${from} to ${to}.`,
+    '',
+    `View the listing: ${link}`
+  ].join('\n'),
+  html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>&ldquo;${escapeHtml(propertyTitle)}&rdquo;, a listing you saved, dropped ${percent}% from ${from} to <strong>${to}</strong>.</p>
+  <p><a href="${link}">View the listing</a></p>`)
+});
+
+exports.escapeHtml = escapeHtml;
@@ -0,0 +1,59 @@
+const Lead = require('../models/Lead');
+const { sendTemplate, clientUrl } = require('./mailer');
+
+// Open a lead for a conversation the first time a seeker inquires
+const ensureLead = conversation => Lead.updateOne(
+  { conversation: conversation._id },
+  {
+    $setOnInsert: {
+      property: conversation.property,
+      seeker: conversation.seeker,
+      owner: conversation.owner,
+      assignedAgent: conversation.owner
+    }
+  },
+  { upsert: true, setDefaultsOnInsert: true }
+);
+
+// Email the assigned agent about follow-ups that have come due, once per follow-up
+const sendFollowUpReminders = async () => {
+  const now = new Date();
+  const leads = await Lead.find({
+    followUps: { $elemMatch: { dueAt: { $lte: now }, done: false, remindedAt: null } }
+  })
+    .populate('owner', 'name email')
+    .populate('assignedAgent', 'name email')
+    .populate('seeker', 'name')
+    .populate('property', 'title');
+
+  for (const lead of leads) {
+    const due = lead.followUps.filter(
+      followUp => !followUp.done && !followUp.remindedAt && followUp.dueAt <= now
+    );
+
+    const recipient = lead.assignedAgent || lead.owner;
+
+    try {
+      await sendTemplate('followUpReminder', recipient.email, {
+        name: recipient.name,
+        seekerName: lead.seeker ? lead.seeker.name : 'A seeker',
+        propertyTitle: lead.property ? lead.property.title : 'your listing',
+        notes: due.map(followUp => followUp.note).filter(Boolean),
+        link: clientUrl(`/leads/${lead._id}`)
+      });
+
+      await Lead.updateOne(
+        { _id: lead._id },
+        { $set: { 'followUps.$[due].remindedAt': now } },
+        { arrayFilters: [{ 'due._id': { $in: due.map(followUp => followUp._id) } }] }
+      );
+    } catch (error) {
+      console.error(`Follow-up reminder failed for lead ${lead._id}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  ensureLead,
+  sendFollowUpReminders
+};
@@ -0,0 +1,402 @@
+// Bulk listing import and export as CSV or XLSX.
+// Both directions use the same columns, so an export can be edited and imported
+// again. Rows are matched to the owner's listings by externalRef (listings
+// without one are exported under their id): known refs update the listing,
+// new ones create it. Every row is checked against the same rules as
+// POST /api/properties, and nothing is written unless all rows pass. A write
+// that fails midway rolls back the rows already written.
+
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const Property = require('../models/Property');
+const { propertyValidation } = require('../middleware/propertyValidation');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { priceChangeUpdate } = require('../utils/priceHistory');
+const { normalizeLocation } = require('./localities');
+const { REVIEWED_STATUSES, materialChanges, changeStatus } = require('./moderation');
+const { notifyNewListing } = require('./searchAlerts');
+const { notifyPriceDrop } = require('./priceAlerts');
+const { listingUsage } = require('./plans');
+const { screenListing, clearFlags } = require('./listingScreening');
+
+const MAX_IMPORT_ROWS = 1000;
+const LIST_SEPARATOR = ';';
+
+// Error for files that can't be imported at all, reported back as a 400
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = 400;
+  }
+}
+
+// Spreadsheet columns in order; `path` is where the value lives on a listing
+const COLUMNS = [
+  { header: 'externalRef', path: 'externalRef', required: true },
+  { header: 'title', path: 'title', required: true },
+  { header: 'description', path: 'description', required: true },
+  { header: 'propertyType', path: 'propertyType', required: true },
+  { header: 'listingType', path: 'listingType', required: true },
+  { header: 'price', path: 'price', type: 'number', required: true },
+  { header: 'currency', path: 'currency' },
+  { header: 'areaValue', path: 'area.value', type: 'number', required: true },
+  { header: 'areaUnit', path: 'area.unit' },
+  { header: 'bedrooms', path: 'bedrooms', type: 'number' },
+  { header: 'bathrooms', path: 'bathrooms', type: 'number' },
+  { header: 'parking', path: 'parking', type: 'number' },
+  { header: 'furnishing', path: 'furnishing' },
+  { header: 'floor', path: 'floor', type: 'number' },
+  { header: 'totalFloors', path: 'totalFloors', type: 'number' },
+  { header: 'age', path: 'age', type: 'number' },
+  { header: 'facing', path: 'facing' },
+  { header: 'address', path: 'location.address', required: true },
+  { header: 'locality', path: 'location.locality' },
+  { header: 'city', path: 'location.city', required: true },
+  { header: 'state', path: 'location.state', required: true },
+  { header: 'pincode', path: 'location.pincode', required: true },
+  { header: 'latitude', path: 'location.coordinates.coordinates.1', type: 'number', required: true },
+  { header: 'longitude', path: 'location.coordinates.coordinates.0', type: 'number', required: true },
+  { header: 'amenities', path: 'amenities', type: 'list' }
+];
+
+const headerKey = value => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+
+const getPath = (doc, fieldPath) => fieldPath.split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+
+const setPath = (doc, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  let target = doc;
+  keys.slice(0, -1).forEach((key, i) => {
+    if (target[key] === undefined) {
+      target[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+// Column (header) that a listing field or validation path belongs to
+const columnFor = (fieldPath) => {
+  const column = COLUMNS.find(item => item.path === fieldPath) ||
+    COLUMNS.find(item => fieldPath.startsWith(`${item.path}.`) || item.path.startsWith(`${fieldPath}.`));
+  return column ? column.header : fieldPath;
+};
+
+// Read the first sheet of an uploaded file into header-keyed records
+const readSpreadsheet = async (file) => {
+  let rows;
+
+  if (path.extname(file.originalname).toLowerCase() === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw new ImportError('The file is not a valid .xlsx workbook');
+    }
+
+    const sheet = workbook.worksheets[0];
+    rows = [];
+    if (sheet) {
+      sheet.eachRow((row) => {
+        const cells = [];
+        for (let i = 1; i <= row.cellCount; i += 1) cells.push(row.getCell(i).text);
+        if (cells.some(cell => cell.trim() !== '')) rows.push(cells);
+      });
+    }
+  } else {
+    rows = parseCsv(file.buffer.toString('utf8'));
+  }
+
+  if (rows.length < 2) {
+    throw new ImportError('The file needs a header row and at least one listing');
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Import at most ${MAX_IMPORT_ROWS} listings at a time`);
+  }
+
+  const headers = rows[0].map(header => COLUMNS.find(column => headerKey(column.header) === headerKey(header)));
+  const missing = COLUMNS
+    .filter(column => column.required && !headers.includes(column))
+    .map(column => column.header);
+  if (missing.length) {
+    throw new ImportError(`Missing columns: ${missing.join(', ')}`);
+  }
+
+  // Unknown columns are ignored
+  return rows.slice(1).map(cells => headers.reduce((record, column, i) => {
+    if (column) record[column.header] = String(cells[i] === undefined ? '' : cells[i]).trim();
+    return record;
+  }, {}));
+};
+
+// Turn a record into a listing body plus the problems found in it
+const parseRecord = async (record) => {
+  const body = {};
+  const errors = [];
+
+  COLUMNS.forEach((column) => {
+    const value = record[column.header];
+    if (value === undefined || value === '') return;
+
+    if (column.type === 'list') {
+      setPath(body, column.path, value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean));
+    } else {
+      setPath(body, column.path, value);
+    }
+  });
+
+  // Same rules as the create route
+  const req = { body };
+  await Promise.all(propertyValidation.map(rule => rule.run(req)));
+  validationResult(req).array().forEach((error) => {
+    errors.push({ column: columnFor(error.path), message: error.msg });
+  });
+
+  COLUMNS.forEach((column) => {
+    const value = getPath(body, column.path);
+    if (column.required && (value === undefined || value === '')) {
+      if (!errors.some(error => error.column === column.header)) {
+        errors.push({ column: column.header, message: 'Required' });
+      }
+      return;
+    }
+    if (column.type === 'number' && value !== undefined) {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        if (!errors.some(error => error.column === column.header)) {
+          errors.push({ column: column.header, message: 'Must be a number' });
+        }
+      } else {
+        setPath(body, column.path, number);
+      }
+    }
+  });
+
+  const [lng, lat] = getPath(body, 'location.coordinates.coordinates') || [];
+  if (typeof lat === 'number' && (lat < -90 || lat > 90)) {
+    errors.push({ column: 'latitude', message: 'Must be between -90 and 90' });
+  }
+  if (typeof lng === 'number' && (lng < -180 || lng > 180)) {
+    errors.push({ column: 'longitude', message: 'Must be between -180 and 180' });
+  }
+
+  if (body.location) {
+    try {
+      body.location = normalizeLocation(body.location);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      errors.push({ column: 'location', message: error.message });
+    }
+  }
+
+  // Schema rules (enums, minimums) the request validation doesn't cover
+  const invalid = new Property(body).validateSync();
+  if (invalid) {
+    Object.values(invalid.errors).forEach((error) => {
+      const column = columnFor(error.path);
+      if (error.path !== 'owner' && !errors.some(item => item.column === column)) {
+        errors.push({ column, message: error.message });
+      }
+    });
+  }
+
+  return { body, errors };
+};
+
+// Writes queue their emails and screening in `followUps`, run once the whole import is in
+const createListing = async (data, user, followUps) => {
+  // Same moderation rule as single listings: only admins skip the queue
+  const status = user.role === 'admin' ? 'active' : 'pending';
+  const property = await Property.create({
+    ...data,
+    owner: user._id,
+    status,
+    statusHistory: [{
+      actor: user._id,
+      to: status,
+      note: 'Imported'
+    }]
+  });
+
+  followUps.push(() => screenListing(property));
+  if (property.status === 'active') followUps.push(() => notifyNewListing(property));
+  return property;
+};
+
+const updateListing = async (previous, data, user, followUps) => {
+  const priceChange = priceChangeUpdate(previous, data.price, user);
+  const property = await Property.findByIdAndUpdate(
+    previous._id,
+    priceChange ? { ...data, ...priceChange } : data,
+    { new: true, runValidators: true }
+  );
+
+  const changed = materialChanges(previous, property);
+  if (user.role !== 'admin' && changed.length && REVIEWED_STATUSES.includes(previous.status)) {
+    await changeStatus(property, 'pending', user, `Edited by import: ${changed.join(', ')}`, {
+      notify: false
+    });
+  }
+  if (changed.length || priceChange) {
+    followUps.push(() => screenListing(property));
+  }
+  if (priceChange && property.price < previous.price) {
+    followUps.push(() => notifyPriceDrop(property, previous.price));
+  }
+  return property;
+};
+
+// Undo the writes of a failed import: drop created listings, restore updated ones
+const rollBack = async (written) => {
+  for (const write of written.reverse()) {
+    if (write.created) {
+      await Property.deleteOne({ _id: write.created });
+      await clearFlags(write.created);
+    } else {
+      await Property.replaceOne({ _id: write.previous._id }, write.previous);
+    }
+  }
+};
+
+// Validate every row and, unless dryRun is set or a row failed, create or
+// update the user's listings. Resolves a per-row report.
+const importListings = async (file, user, { dryRun = true } = {}) => {
+  const records = await readSpreadsheet(file);
+  const parsed = [];
+  for (const record of records) {
+    parsed.push(await parseRecord(record));
+  }
+
+  // Spreadsheet row numbers, counting the header as row 1
+  const rows = parsed.map(({ body, errors }, i) => ({ row: i + 2, externalRef: body.externalRef, errors }));
+
+  const seen = new Map();
+  rows.forEach((row) => {
+    if (!row.externalRef) return;
+    if (seen.has(row.externalRef)) {
+      row.errors.push({ column: 'externalRef', message: `Duplicate of row ${seen.get(row.externalRef)}` });
+    } else {
+      seen.set(row.externalRef, row.row);
+    }
+  });
+
+  const refs = [...seen.keys()];
+  const existing = await Property.find({
+    owner: user._id,
+    $or: [
+      { externalRef: { $in: refs } },
+      { _id: { $in: refs.filter(ref => mongoose.isValidObjectId(ref)) } }
+    ]
+  });
+  const findExisting = ref => existing.find(property => property.externalRef === ref) ||
+    existing.find(property => !property.externalRef && property._id.toString() === ref);
+
+  rows.forEach((row) => {
+    const match = findExisting(row.externalRef);
+    row.action = match ? 'update' : 'create';
+    if (match) row.id = match._id;
+  });
+
+  // New listings beyond the plan's quota can't be created
+  const { remaining } = await listingUsage(user);
+  if (remaining !== null) {
+    rows
+      .filter(row => row.action === 'create')
+      .slice(remaining)
+      .forEach((row) => {
+        row.errors.push({ column: 'externalRef', message: 'Listing quota reached; upgrade your plan to add more' });
+      });
+  }
+
+  const invalid = rows.filter(row => row.errors.length).length;
+  const apply = !dryRun && invalid === 0;
+
+  if (apply) {
+    const written = [];
+    const followUps = [];
+    let i = 0;
+    try {
+      for (; i < rows.length; i += 1) {
+        const match = findExisting(rows[i].externalRef);
+        let property;
+        if (match) {
+          written.push({ previous: match.toObject() });
+          property = await updateListing(match, parsed[i].body, user, followUps);
+        } else {
+          property = await createListing(parsed[i].body, user, followUps);
+          written.push({ created: property._id });
+        }
+        rows[i].id = property._id;
+      }
+    } catch (error) {
+      await rollBack(written);
+      error.message = `Row ${rows[i].row} could not be saved, so the import was rolled back: ${error.message}`;
+      throw error;
+    }
+
+    for (const followUp of followUps) {
+      await followUp();
+    }
+  }
+
+  return {
+    dryRun,
+    applied: apply,
+    summary: {
+      rows: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      create: rows.filter(row => row.action === 'create').length,
+      update: rows.filter(row => row.action === 'update').length
+    },
+    rows
+  };
+};
+
+const cellValue = (property, column) => {
+  if (column.path === 'externalRef') return property.externalRef || property._id.toString();
+
+  const value = getPath(property, column.path);
+  if (column.type === 'list') return (value || []).join(`${LIST_SEPARATOR} `);
+  return value === undefined || value === null ? '' : value;
+};
+
+// Write listings in the import format; resolves { body, contentType, extension }
+const exportListings = async (properties, format = 'csv') => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Listings');
+    sheet.columns = COLUMNS.map(column => ({ header: column.header, key: column.header }));
+    properties.forEach((property) => {
+      sheet.addRow(COLUMNS.map(column => cellValue(property, column)));
+    });
+
+    return {
+      body: Buffer.from(await workbook.xlsx.writeBuffer()),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx'
+    };
+  }
+
+  return {
+    body: toCsv(properties, COLUMNS.map(column => ({
+      header: column.header,
+      value: property => cellValue(property, column)
+    }))),
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  COLUMNS,
+  ImportError,
+  readSpreadsheet,
+  importListings,
+  exportListings
+};
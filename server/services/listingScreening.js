@@ -0,0 +1,246 @@
+// Screening of new and edited listings for moderators.
+// A listing is flagged as a duplicate of an existing one at the same spot
+// (within DUPLICATE_RADIUS_M or the same address) with similar text or the same
+// poster, or of one by the same poster with near-identical text anywhere.
+// "Same poster" includes other accounts sharing the owner's phone number.
+// Its price per sq ft is also checked against the median of active listings
+// of the same kind in its locality (or city), to catch bait prices.
+
+const Property = require('../models/Property');
+const User = require('../models/User');
+const ListingFlag = require('../models/ListingFlag');
+const { EARTH_RADIUS_KM } = require('../utils/propertyQuery');
+
+const DUPLICATE_RADIUS_M = 25;
+const CANDIDATE_LIMIT = 200;
+const MAX_DUPLICATE_FLAGS = 5;
+
+// Text overlap needed alongside a shared location, and without one
+const SIMILAR_TEXT = 0.5;
+const COPIED_TEXT = 0.85;
+
+// Listings to compare against: live or waiting for review
+const SCREENED_STATUSES = ['active', 'pending', 'changes-requested'];
+
+const MIN_PRICE_SAMPLE = 5;
+const PRICE_SAMPLE_LIMIT = 500;
+const LOW_PRICE_RATIO = 0.4;
+const HIGH_PRICE_RATIO = 3;
+
+const round = value => Math.round(value * 100) / 100;
+
+const tokens = text => new Set(
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2)
+);
+
+// Jaccard overlap of the words in two listings' titles and descriptions
+const textSimilarity = (a, b) => {
+  const left = tokens(`${a.title} ${a.description}`);
+  const right = tokens(`${b.title} ${b.description}`);
+  if (!left.size || !right.size) return 0;
+
+  let shared = 0;
+  left.forEach((word) => { if (right.has(word)) shared += 1; });
+  return shared / (left.size + right.size - shared);
+};
+
+const normalizeAddress = address => String(address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const rad = degrees => (degrees * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * 1000 * Math.asin(Math.sqrt(a));
+};
+
+const coordinatesOf = property => property.location &&
+  property.location.coordinates &&
+  property.location.coordinates.coordinates;
+
+const hasCoordinates = coordinates => Array.isArray(coordinates) && coordinates.length === 2;
+
+const idOf = value => (value && value._id ? value._id : value).toString();
+
+// The owner plus any other accounts registered with the owner's phone number
+const posterIds = async (ownerId) => {
+  const owner = await User.findById(ownerId).select('phone').lean();
+  const phone = owner && owner.phone && owner.phone.trim();
+  if (!phone) return { owner: idOf(ownerId), samePhone: [] };
+
+  const others = await User.find({ _id: { $ne: ownerId }, phone }).select('_id').lean();
+  return { owner: idOf(ownerId), samePhone: others.map(user => user._id.toString()) };
+};
+
+// Why a candidate looks like the same listing, or null when it doesn't
+const compareListings = (property, candidate, posters) => {
+  const coordinates = coordinatesOf(property);
+  const candidateCoordinates = coordinatesOf(candidate);
+  const sameCoordinates = hasCoordinates(coordinates) && hasCoordinates(candidateCoordinates) &&
+    distanceMeters(coordinates, candidateCoordinates) <= DUPLICATE_RADIUS_M;
+
+  const address = normalizeAddress(property.location && property.location.address);
+  const sameAddress = Boolean(address) &&
+    property.location.pincode === candidate.location.pincode &&
+    address === normalizeAddress(candidate.location.address);
+
+  const sameOwner = idOf(candidate.owner) === posters.owner;
+  const samePhone = posters.samePhone.includes(idOf(candidate.owner));
+  const similarity = round(textSimilarity(property, candidate));
+
+  const sameSpot = (sameCoordinates || sameAddress) && candidate.propertyType === property.propertyType;
+  const duplicate = (sameSpot && (similarity >= SIMILAR_TEXT || sameOwner || samePhone)) ||
+    ((sameOwner || samePhone) && similarity >= COPIED_TEXT);
+  if (!duplicate) return null;
+
+  const reasons = [];
+  if (sameCoordinates) reasons.push('same coordinates');
+  if (sameAddress) reasons.push('same address');
+  if (similarity >= SIMILAR_TEXT) reasons.push(`similar title and description (${Math.round(similarity * 100)}%)`);
+  if (sameOwner) reasons.push('same owner');
+  if (samePhone) reasons.push('owner shares a phone number with the other poster');
+
+  return { kind: 'duplicate', match: candidate._id, reasons, similarity };
+};
+
+// Existing listings the given one looks like a re-post of, closest first
+const findDuplicates = async (property) => {
+  const posters = await posterIds(property.owner);
+  const coordinates = coordinatesOf(property);
+
+  const near = [
+    { owner: { $in: [posters.owner, ...posters.samePhone] } }
+  ];
+  if (property.location && property.location.pincode) {
+    near.push({ 'location.pincode': property.location.pincode });
+  }
+  if (hasCoordinates(coordinates)) {
+    near.push({
+      'location.coordinates': {
+        $geoWithin: { $centerSphere: [coordinates, DUPLICATE_RADIUS_M / 1000 / EARTH_RADIUS_KM] }
+      }
+    });
+  }
+
+  const candidates = await Property.find({
+    _id: { $ne: property._id },
+    listingType: property.listingType,
+    status: { $in: SCREENED_STATUSES },
+    $or: near
+  })
+    .select('title description propertyType owner location status')
+    .sort('-createdAt')
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  return candidates
+    .map(candidate => compareListings(property, candidate, posters))
+    .filter(Boolean)
+    .sort((a, b) => b.reasons.length - a.reasons.length || b.similarity - a.similarity)
+    .slice(0, MAX_DUPLICATE_FLAGS);
+};
+
+const median = (values) => {
+  const middle = Math.floor(values.length / 2);
+  return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+};
+
+// A flag when the price per sq ft is far off the local median, or null.
+// Needs MIN_PRICE_SAMPLE comparable active listings to say anything.
+const checkPrice = async (property) => {
+  if (!(property.pricePerSqFt > 0) || !property.location) return null;
+
+  const { locality, city } = property.location;
+  const area = locality ? { 'location.locality': locality } : { 'location.city': city };
+  const comparables = await Property.find({
+    _id: { $ne: property._id },
+    status: 'active',
+    listingType: property.listingType,
+    propertyType: property.propertyType,
+    pricePerSqFt: { $gt: 0 },
+    ...area
+  })
+    .select('pricePerSqFt')
+    .sort('-createdAt')
+    .limit(PRICE_SAMPLE_LIMIT)
+    .lean();
+
+  if (comparables.length < MIN_PRICE_SAMPLE) return null;
+
+  const typical = median(comparables.map(item => item.pricePerSqFt).sort((a, b) => a - b));
+  const ratio = round(property.pricePerSqFt / typical);
+  if (ratio >= LOW_PRICE_RATIO && ratio <= HIGH_PRICE_RATIO) return null;
+
+  const where = locality || city;
+  return {
+    kind: 'price-outlier',
+    reasons: [ratio < LOW_PRICE_RATIO
+      ? `price per sq ft is ${Math.round(ratio * 100)}% of the ${where} median`
+      : `price per sq ft is ${ratio}x the ${where} median`],
+    price: {
+      pricePerSqFt: property.pricePerSqFt,
+      median: round(typical),
+      ratio,
+      sample: comparables.length,
+      area: where
+    }
+  };
+};
+
+// Re-run every check on a listing and replace its flags. Screening never
+// blocks a listing from being saved, so failures are only logged.
+const screenListing = async (property) => {
+  try {
+    const [duplicates, price] = await Promise.all([findDuplicates(property), checkPrice(property)]);
+    const flags = [...duplicates, ...(price ? [price] : [])];
+
+    await ListingFlag.deleteMany({ property: property._id });
+    if (flags.length) {
+      await ListingFlag.insertMany(flags.map(flag => ({ ...flag, property: property._id })));
+    }
+    return flags;
+  } catch (error) {
+    console.error(`Screening failed for property ${property._id}:`, error.message);
+    return [];
+  }
+};
+
+// Drop flags raised on or pointing at a deleted listing
+const clearFlags = propertyId => ListingFlag.deleteMany({
+  $or: [{ property: propertyId }, { match: propertyId }]
+});
+
+// Flags for a page of listings, with the listings they match, keyed by listing id
+const flagsFor = async (propertyIds) => {
+  const flags = await ListingFlag.find({ property: { $in: propertyIds } })
+    .populate({
+      path: 'match',
+      select: 'title price status location.address location.city images owner createdAt',
+      populate: { path: 'owner', select: 'name email phone' }
+    })
+    .sort('kind -similarity')
+    .lean();
+
+  const byProperty = new Map();
+  flags.forEach((flag) => {
+    const key = flag.property.toString();
+    if (!byProperty.has(key)) byProperty.set(key, []);
+    byProperty.get(key).push(flag);
+  });
+  return byProperty;
+};
+
+module.exports = {
+  DUPLICATE_RADIUS_M,
+  SCREENED_STATUSES,
+  textSimilarity,
+  compareListings,
+  findDuplicates,
+  checkPrice,
+  screenListing,
+  clearFlags,
+  flagsFor
+};
@@ -0,0 +1,228 @@
+// Canonical state -> city -> locality hierarchy, loaded from data/localities.json.
+// Every name can carry aliases ("Bangalore" for "Bengaluru") and localities
+// list their pincodes, which also powers the pincode lookup.
+
+const dataset = require('../data/localities.json');
+
+// Error for locations that don't fit the hierarchy, reported back as a 400
+class LocationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LocationError';
+    this.statusCode = 400;
+  }
+}
+
+// "  Bangalore " / "bangalore" / "BANGALORE." all share the key "bangalore"
+const normalizeKey = value => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const states = new Map();
+const cities = new Map();
+const pincodes = new Map();
+// Every locality by name or alias, across cities, to spot ones filed under the wrong city
+const localities = new Map();
+// Flat list used by the typeahead
+const entries = [];
+
+const namesOf = item => [item.name, ...(item.aliases || [])];
+
+dataset.states.forEach((state) => {
+  const stateNode = { name: state.name, aliases: state.aliases || [], cities: [] };
+  namesOf(state).forEach(name => states.set(normalizeKey(name), stateNode));
+
+  state.cities.forEach((city) => {
+    const cityNode = {
+      name: city.name,
+      aliases: city.aliases || [],
+      state: state.name,
+      localities: new Map(),
+      localityList: []
+    };
+    stateNode.cities.push(cityNode);
+
+    // The same alias may exist in several states, so keep every candidate
+    namesOf(city).forEach((name) => {
+      const key = normalizeKey(name);
+      cities.set(key, [...(cities.get(key) || []), cityNode]);
+    });
+
+    entries.push({
+      type: 'city',
+      name: city.name,
+      city: city.name,
+      state: state.name,
+      keys: namesOf(city).map(normalizeKey)
+    });
+
+    city.localities.forEach((locality) => {
+      const localityNode = {
+        name: locality.name,
+        aliases: locality.aliases || [],
+        pincodes: locality.pincodes || [],
+        city: city.name,
+        state: state.name
+      };
+      cityNode.localityList.push(localityNode);
+      namesOf(locality).forEach((name) => {
+        const key = normalizeKey(name);
+        cityNode.localities.set(key, localityNode);
+        localities.set(key, [...(localities.get(key) || []), localityNode]);
+      });
+
+      localityNode.pincodes.forEach((pincode) => {
+        pincodes.set(pincode, [...(pincodes.get(pincode) || []), localityNode]);
+      });
+
+      entries.push({
+        type: 'locality',
+        name: locality.name,
+        city: city.name,
+        state: state.name,
+        pincodes: localityNode.pincodes,
+        keys: namesOf(locality).map(normalizeKey)
+      });
+    });
+  });
+});
+
+const findState = name => states.get(normalizeKey(name)) || null;
+
+// Resolve a city name or alias, optionally within a given state
+const findCity = (name, stateName) => {
+  const candidates = cities.get(normalizeKey(name)) || [];
+  if (!stateName) return candidates[0] || null;
+
+  const state = findState(stateName);
+  return candidates.find(city => state && city.state === state.name) || null;
+};
+
+const findLocality = (name, cityNode) => (cityNode ? cityNode.localities.get(normalizeKey(name)) || null : null);
+
+const lookupPincode = pincode => (pincodes.get(String(pincode).trim()) || []).map(locality => ({
+  locality: locality.name,
+  city: locality.city,
+  state: locality.state
+}));
+
+const trimmed = value => (value === undefined || value === null ? value : String(value).trim());
+
+// Return a listing's location with canonical state, city and locality names
+// where the bundled dataset knows them. The dataset only covers some places,
+// so anything it doesn't know passes through unchanged; only locations that
+// contradict it (a known pincode or locality of another city) are rejected.
+const normalizeLocation = (location = {}) => {
+  const pincode = String(location.pincode || '').trim();
+  if (!/^[1-9][0-9]{5}$/.test(pincode)) {
+    throw new LocationError('Pincode must be a 6 digit Indian pincode');
+  }
+
+  const state = findState(location.state);
+  const city = findCity(location.city, state ? state.name : undefined);
+
+  if (!city) {
+    return {
+      ...location,
+      state: state ? state.name : trimmed(location.state),
+      city: trimmed(location.city),
+      locality: location.locality ? trimmed(location.locality) : undefined,
+      pincode
+    };
+  }
+
+  const pincodeMatches = (pincodes.get(pincode) || []).filter(locality => locality.city === city.name);
+  if (pincodes.has(pincode) && !pincodeMatches.length) {
+    throw new LocationError(`Pincode ${pincode} is not in ${city.name}`);
+  }
+
+  let locality = location.locality ? findLocality(location.locality, city) : null;
+  if (location.locality && !locality) {
+    const elsewhere = localities.get(normalizeKey(location.locality)) || [];
+    if (elsewhere.length) {
+      throw new LocationError(`${elsewhere[0].name} is in ${elsewhere[0].city}, not ${city.name}`);
+    }
+  }
+  if (locality && locality.pincodes.length && pincodes.has(pincode) && !locality.pincodes.includes(pincode)) {
+    throw new LocationError(`Pincode ${pincode} is not in ${locality.name}`);
+  }
+  // A pincode that covers exactly one locality tells us where the listing is
+  if (!locality && !location.locality && pincodeMatches.length === 1) {
+    [locality] = pincodeMatches;
+  }
+
+  return {
+    ...location,
+    state: city.state,
+    city: city.name,
+    locality: locality ? locality.name : (location.locality ? trimmed(location.locality) : undefined),
+    pincode
+  };
+};
+
+// Case-insensitive regex matching a place by its canonical name or any alias,
+// so filters also catch listings saved before names were normalized
+const placePattern = (value, node) => {
+  const names = node ? namesOf(node) : [String(value).trim()];
+  return new RegExp(`^\\s*(?:${names.map(escapeRegex).join('|')})\\s*$`, 'i');
+};
+
+const cityPattern = name => placePattern(name, findCity(name));
+const statePattern = name => placePattern(name, findState(name));
+const localityPattern = (name, cityName) => placePattern(name, findLocality(name, findCity(cityName)));
+
+// Typeahead over cities and localities; prefix matches on any word of a name or alias
+const autocomplete = (query, limit = 10) => {
+  const key = normalizeKey(query);
+  if (!key) return [];
+
+  const scored = entries
+    .map((entry) => {
+      let score = 0;
+      entry.keys.forEach((name) => {
+        if (name === key) score = Math.max(score, 3);
+        else if (name.startsWith(key)) score = Math.max(score, 2);
+        else if (name.split(' ').some(word => word.startsWith(key))) score = Math.max(score, 1);
+      });
+      return { entry, score };
+    })
+    .filter(item => item.score > 0)
+    // Best match first, cities before localities, then alphabetical
+    .sort((a, b) => b.score - a.score ||
+      (a.entry.type === 'city' ? 0 : 1) - (b.entry.type === 'city' ? 0 : 1) ||
+      a.entry.name.localeCompare(b.entry.name));
+
+  return scored.slice(0, limit).map(({ entry }) => {
+    const { keys, ...result } = entry;
+    return result;
+  });
+};
+
+// Plain state -> city -> locality tree for clients
+const hierarchy = () => dataset.states.map(state => ({
+  name: state.name,
+  cities: state.cities.map(city => ({
+    name: city.name,
+    localities: city.localities.map(locality => ({
+      name: locality.name,
+      pincodes: locality.pincodes
+    }))
+  }))
+}));
+
+module.exports = {
+  LocationError,
+  normalizeKey,
+  findState,
+  findCity,
+  lookupPincode,
+  normalizeLocation,
+  cityPattern,
+  statePattern,
+  localityPattern,
+  autocomplete,
+  hierarchy
+};
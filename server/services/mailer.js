@@ -0,0 +1,88 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const templates = require('./emailTemplates');
+
+const OUTBOX_DIR = path.join(__dirname, '..', 'outbox');
+
+// Messages sent through the outbox transport, kept for tests and local debugging
+const outbox = [];
+
+let transporter;
+
+// EMAIL_TRANSPORT=smtp sends real mail; anything else writes to the local outbox
+const getTransporter = () => {
+  if (!transporter) {
+    if (process.env.EMAIL_TRANSPORT === 'smtp') {
+      transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+    } else {
+      transporter = nodemailer.createTransport({ jsonTransport: true });
+    }
+  }
+  return transporter;
+};
+
+const writeToOutbox = async (info) => {
+  const message = JSON.parse(info.message);
+  outbox.push(message);
+
+  if (process.env.NODE_ENV !== 'test') {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    await fs.writeFile(
+      path.join(OUTBOX_DIR, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`),
+      JSON.stringify(message, null, 2)
+    );
+  }
+};
+
+// Send an email; resolves with the nodemailer info object
+exports.sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || '101acres <no-reply@101acres.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (process.env.EMAIL_TRANSPORT !== 'smtp') {
+    await writeToOutbox(info);
+  }
+
+  return info;
+};
+
+// Render a template from emailTemplates.js and send it
+exports.sendTemplate = (name, to, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return exports.sendEmail({ to, ...template(data) });
+};
+
+// Build an absolute link into the client app
+exports.clientUrl = (pathname) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}`;
+};
+
+// Build an absolute link to this API, for links that work without the client app
+exports.apiUrl = (pathname) => {
+  const base = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  return `${base}${pathname}`;
+};
+
+exports.getOutbox = () => outbox;
+
+exports.clearOutbox = () => {
+  outbox.length = 0;
+};
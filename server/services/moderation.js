@@ -0,0 +1,146 @@
+const User = require('../models/User');
+const { sendTemplate, clientUrl } = require('./mailer');
+const { notifyNewListing } = require('./searchAlerts');
+const { notifyPriceDrop } = require('./priceAlerts');
+
+// Edits to these fields on an approved listing send it back to review
+const MATERIAL_FIELDS = [
+  'title',
+  'description',
+  'propertyType',
+  'listingType',
+  'area',
+  'location',
+  'bedrooms',
+  'bathrooms'
+];
+
+// Statuses a moderator has signed off on (or sent back) that edits reopen
+const REVIEWED_STATUSES = ['active', 'rejected', 'changes-requested'];
+
+// Statuses a listing may move to from each status. Rejected and sent-back
+// listings only return to review through an edit (resubmission).
+const TRANSITIONS = {
+  pending: ['active', 'rejected', 'changes-requested'],
+  active: ['pending', 'rejected', 'changes-requested', 'sold', 'rented'],
+  'changes-requested': ['pending', 'rejected'],
+  rejected: ['pending'],
+  sold: ['active', 'pending'],
+  rented: ['active', 'pending']
+};
+
+// The moves owners make on their own listings: closing a live one as sold or
+// rented, and relisting a closed one, which puts it back in review
+const OWNER_TRANSITIONS = {
+  active: ['sold', 'rented'],
+  sold: ['pending'],
+  rented: ['pending']
+};
+
+// Error for status changes the workflow doesn't allow, reported back as a 400
+class ModerationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModerationError';
+    this.statusCode = 400;
+  }
+}
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const canOwnerTransition = (from, to) => (OWNER_TRANSITIONS[from] || []).includes(to);
+
+const OWNER_MESSAGES = {
+  active: 'Your listing has been approved and is now live',
+  rejected: 'Your listing was rejected',
+  'changes-requested': 'Changes were requested on your listing',
+  pending: 'Your listing is awaiting review'
+};
+
+const snapshot = (doc, field) => {
+  const value = doc.get ? doc.get(field) : doc[field];
+  return JSON.stringify(value && value.toObject ? value.toObject() : value);
+};
+
+// Which material fields differ between two versions of a listing
+const materialChanges = (before, after) => MATERIAL_FIELDS.filter(
+  field => snapshot(before, field) !== snapshot(after, field)
+);
+
+const notifyOwner = async (property, status, note) => {
+  if (!OWNER_MESSAGES[status]) return;
+
+  try {
+    const owner = await User.findById(property.owner._id || property.owner).select('name email');
+    if (!owner) return;
+
+    await sendTemplate('listingStatus', owner.email, {
+      name: owner.name,
+      headline: OWNER_MESSAGES[status],
+      propertyTitle: property.title,
+      note,
+      link: clientUrl(`/properties/${property._id}`)
+    });
+  } catch (error) {
+    console.error(`Moderation email failed for property ${property._id}:`, error.message);
+  }
+};
+
+// Move a listing to a new status, recording who did it and why.
+// The owner is emailed about moderation outcomes, and listings that go live
+// are matched against saved searches and announce any price drop held meanwhile.
+const changeStatus = async (property, to, actor, note, { notify = true } = {}) => {
+  const from = property.status;
+  if (!canTransition(from, to)) {
+    throw new ModerationError(from === to
+      ? `Listing is already ${to}`
+      : `A ${from} listing cannot be moved to ${to}`);
+  }
+
+  property.status = to;
+  property.statusHistory.push({
+    actor: actor._id || actor,
+    from,
+    to,
+    note
+  });
+
+  if (['active', 'rejected', 'changes-requested'].includes(to)) {
+    property.moderation = {
+      reason: to === 'active' ? undefined : note,
+      reviewedBy: actor._id || actor,
+      reviewedAt: new Date()
+    };
+  }
+
+  const heldPriceDropFrom = to === 'active' ? property.heldPriceDropFrom : undefined;
+  if (heldPriceDropFrom !== undefined) {
+    property.heldPriceDropFrom = undefined;
+  }
+
+  await property.save();
+
+  if (notify) {
+    await notifyOwner(property, to, note);
+  }
+  if (from !== 'active' && to === 'active') {
+    notifyNewListing(property);
+  }
+  if (heldPriceDropFrom !== undefined) {
+    notifyPriceDrop(property, heldPriceDropFrom);
+  }
+
+  return property;
+};
+
+module.exports = {
+  MATERIAL_FIELDS,
+  REVIEWED_STATUSES,
+  TRANSITIONS,
+  OWNER_TRANSITIONS,
+  ModerationError,
+  canTransition,
+  canOwnerTransition,
+  materialChanges,
+  changeStatus
+};
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Payment method that always gets declined, for trying out failure paths
+const DECLINED_METHOD = 'fake_declined';
+
+// Local stand-in for a card processor: approves every charge except the
+// DECLINED_METHOD test method, and never talks to the network
+class FakePaymentProvider {
+  constructor() {
+    this.name = 'fake';
+  }
+
+  async charge({ amount, currency, paymentMethod }) {
+    const id = `fake_ch_${crypto.randomBytes(10).toString('hex')}`;
+
+    if (paymentMethod === DECLINED_METHOD) {
+      return { id, status: 'failed', amount, currency, failureReason: 'Card declined' };
+    }
+    return { id, status: 'succeeded', amount, currency };
+  }
+}
+
+FakePaymentProvider.DECLINED_METHOD = DECLINED_METHOD;
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,36 @@
+const FakePaymentProvider = require('./fakeProvider');
+
+// Payment providers share the same interface:
+//   name
+//   charge({ amount, currency, description, customer, paymentMethod, metadata })
+//     -> { id, status: 'succeeded' | 'failed', amount, currency, failureReason? }
+const providers = {
+  fake: FakePaymentProvider
+};
+
+let provider;
+
+// PAYMENT_PROVIDER picks the provider; the local fake is the default
+const getPaymentProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || 'fake';
+    const Provider = providers[name];
+
+    if (!Provider) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    provider = new Provider();
+  }
+  return provider;
+};
+
+// Swap the provider, e.g. to plug in a real gateway or a test double
+const setPaymentProvider = (adapter) => {
+  provider = adapter;
+};
+
+module.exports = {
+  getPaymentProvider,
+  setPaymentProvider
+};
@@ -0,0 +1,217 @@
+// Subscription plans: how many listings a user may have live or in review,
+// how many of them can be featured at once and for how long.
+// Paid plans are charged once per PLAN_PERIOD_DAYS through the payment provider
+// and fall back to free when the period ends unless the user pays again.
+
+const Property = require('../models/Property');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { getPaymentProvider } = require('./payments');
+
+const PLAN_PERIOD_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+const PLANS = {
+  free: {
+    name: 'Free',
+    price: 0,
+    listingQuota: 3,
+    featuredSlots: 0,
+    featureDays: 0,
+    roles: ['user', 'agent']
+  },
+  'agent-basic': {
+    name: 'Agent Basic',
+    price: 999,
+    listingQuota: 50,
+    featuredSlots: 5,
+    featureDays: 15,
+    roles: ['agent']
+  },
+  'agent-pro': {
+    name: 'Agent Pro',
+    price: 2999,
+    listingQuota: 500,
+    featuredSlots: 25,
+    featureDays: 30,
+    roles: ['agent']
+  }
+};
+
+// Listings in these statuses use up the quota
+const QUOTA_STATUSES = ['active', 'pending', 'changes-requested'];
+
+// Error for plan limits and failed payments, with the status to respond with
+class PlanError extends Error {
+  constructor(message, statusCode = 403) {
+    super(message);
+    this.name = 'PlanError';
+    this.statusCode = statusCode;
+  }
+}
+
+const isAdmin = user => user.role === 'admin';
+
+// The plan in force for a user; lapsed paid plans count as free
+const currentPlan = (user) => {
+  const subscription = user.subscription || {};
+  const lapsed = subscription.currentPeriodEnd && subscription.currentPeriodEnd <= new Date();
+  const id = PLANS[subscription.plan] && !lapsed ? subscription.plan : 'free';
+  return { id, ...PLANS[id] };
+};
+
+const featuredCondition = (now = new Date()) => ({
+  featured: true,
+  $or: [{ featuredUntil: null }, { featuredUntil: { $gt: now } }]
+});
+
+// Listings used and allowed; admins have no limits (null)
+const listingUsage = async (user) => {
+  const used = await Property.countDocuments({ owner: user._id, status: { $in: QUOTA_STATUSES } });
+  const quota = isAdmin(user) ? null : currentPlan(user).listingQuota;
+  return { used, quota, remaining: quota === null ? null : Math.max(0, quota - used) };
+};
+
+const featuredUsage = async (user) => {
+  const used = await Property.countDocuments({ owner: user._id, status: 'active', ...featuredCondition() });
+  const slots = isAdmin(user) ? null : currentPlan(user).featuredSlots;
+  return { used, slots, remaining: slots === null ? null : Math.max(0, slots - used) };
+};
+
+// Throw unless the user may add `count` more listings
+const assertListingQuota = async (user, count = 1) => {
+  const usage = await listingUsage(user);
+  if (usage.remaining !== null && count > usage.remaining) {
+    const plan = currentPlan(user);
+    throw new PlanError(
+      `Your ${plan.name} plan allows ${plan.listingQuota} listings and you have ${usage.used}. Upgrade your plan to post more.`
+    );
+  }
+  return usage;
+};
+
+// Feature an active listing for the owner's plan period; admins may pick the days
+const featureListing = async (property, user, { days } = {}) => {
+  if (property.status !== 'active') {
+    throw new PlanError('Only active listings can be featured', 400);
+  }
+
+  const usage = await featuredUsage(user);
+  const alreadyFeatured = property.featured && (!property.featuredUntil || property.featuredUntil > new Date());
+  if (alreadyFeatured) {
+    throw new PlanError('This listing is already featured', 409);
+  }
+  if (usage.remaining !== null && usage.remaining < 1) {
+    const plan = currentPlan(user);
+    throw new PlanError(plan.featuredSlots
+      ? `Your ${plan.name} plan allows ${plan.featuredSlots} featured listings at a time`
+      : `Your ${plan.name} plan does not include featured listings`);
+  }
+
+  const featureDays = isAdmin(user) ? days : currentPlan(user).featureDays;
+  property.featured = true;
+  property.featuredUntil = featureDays ? new Date(Date.now() + featureDays * DAY) : undefined;
+  await property.save();
+  return property;
+};
+
+const unfeatureListing = async (property) => {
+  property.featured = false;
+  property.featuredUntil = undefined;
+  await property.save();
+  return property;
+};
+
+// Charge for a paid plan and start (or extend) it; choosing free downgrades now
+const subscribe = async (user, planId, paymentMethod) => {
+  const plan = PLANS[planId];
+  if (!plan) {
+    throw new PlanError(`Unknown plan: ${planId}`, 400);
+  }
+  if (!plan.roles.includes(user.role)) {
+    throw new PlanError(`The ${plan.name} plan is only available to ${plan.roles.join(' and ')} accounts`);
+  }
+
+  if (!plan.price) {
+    user.subscription = { plan: planId };
+    await user.save();
+    return { subscription: user.subscription, payment: null };
+  }
+
+  const provider = getPaymentProvider();
+  const charge = await provider.charge({
+    amount: plan.price,
+    currency: 'INR',
+    description: `${plan.name} plan, ${PLAN_PERIOD_DAYS} days`,
+    customer: { id: user._id.toString(), email: user.email, name: user.name },
+    paymentMethod,
+    metadata: { plan: planId }
+  });
+
+  const payment = await Payment.create({
+    user: user._id,
+    plan: planId,
+    amount: plan.price,
+    currency: 'INR',
+    provider: provider.name,
+    providerRef: charge.id,
+    status: charge.status,
+    failureReason: charge.failureReason
+  });
+
+  if (charge.status !== 'succeeded') {
+    throw new PlanError(`Payment failed: ${charge.failureReason || 'declined'}`, 402);
+  }
+
+  // Renewing the same plan early adds to the time left
+  const current = user.subscription || {};
+  const start = current.plan === planId && current.currentPeriodEnd > new Date()
+    ? current.currentPeriodEnd
+    : new Date();
+
+  user.subscription = {
+    plan: planId,
+    currentPeriodEnd: new Date(start.getTime() + PLAN_PERIOD_DAYS * DAY)
+  };
+  await user.save();
+
+  return { subscription: user.subscription, payment };
+};
+
+// Background job: unfeature listings whose feature ran out. Searches rank on the
+// stored flag, so this runs every minute off the partial featuredUntil index.
+const expireFeatures = async () => {
+  const result = await Property.updateMany(
+    { featured: true, featuredUntil: { $lte: new Date() } },
+    { $set: { featured: false }, $unset: { featuredUntil: '' } }
+  );
+  return result.modifiedCount;
+};
+
+// Background job: move users whose paid period ended back to free
+const expireSubscriptions = async () => {
+  const result = await User.updateMany(
+    { 'subscription.plan': { $ne: 'free' }, 'subscription.currentPeriodEnd': { $lte: new Date() } },
+    {
+      $set: { 'subscription.plan': 'free' },
+      $unset: { 'subscription.currentPeriodEnd': '' }
+    }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  PLANS,
+  PLAN_PERIOD_DAYS,
+  QUOTA_STATUSES,
+  PlanError,
+  currentPlan,
+  listingUsage,
+  featuredUsage,
+  assertListingQuota,
+  featureListing,
+  unfeatureListing,
+  subscribe,
+  expireFeatures,
+  expireSubscriptions
+};
@@ -0,0 +1,58 @@
+const Property = require('../models/Property');
+const User = require('../models/User');
+const { sendTemplate, clientUrl } = require('./mailer');
+
+const formatPrice = price => `₹${Number(price).toLocaleString('en-IN')}`;
+
+// Email everyone who favorited the listing and wants to hear about a drop this size.
+// A drop on a listing that isn't live (e.g. sent back to review by the same edit)
+// is held, keeping the highest earlier price, until the listing is approved.
+const processPriceDrop = async (property, previousPrice) => {
+  if (!(property.price < previousPrice)) return 0;
+  if (property.status !== 'active') {
+    await Property.updateOne({ _id: property._id }, { $max: { heldPriceDropFrom: previousPrice } });
+    return 0;
+  }
+
+  const percent = ((previousPrice - property.price) / previousPrice) * 100;
+  const users = User.find({
+    _id: { $ne: property.owner },
+    favorites: property._id,
+    'priceDropAlerts.enabled': { $ne: false }
+  })
+    .select('name email priceDropAlerts')
+    .cursor();
+
+  let sent = 0;
+  for await (const user of users) {
+    // Read through the document so users without saved settings get the defaults
+    if (percent < user.priceDropAlerts.minPercent) continue;
+
+    try {
+      await sendTemplate('priceDrop', user.email, {
+        name: user.name,
+        propertyTitle: property.title,
+        from: formatPrice(previousPrice),
+        to: formatPrice(property.price),
+        percent: Math.round(percent),
+        link: clientUrl(`/properties/${property._id}`)
+      });
+      sent += 1;
+    } catch (error) {
+      console.error(`Price drop alert to ${user.email} failed:`, error.message);
+    }
+  }
+  return sent;
+};
+
+// Fire-and-forget wrapper used by the property routes
+const notifyPriceDrop = (property, previousPrice) => {
+  processPriceDrop(property, previousPrice).catch((error) => {
+    console.error(`Price drop alerts failed for property ${property._id}:`, error.message);
+  });
+};
+
+module.exports = {
+  processPriceDrop,
+  notifyPriceDrop
+};
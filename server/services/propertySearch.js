@@ -0,0 +1,181 @@
+const Property = require('../models/Property');
+const { escapeHtml } = require('./emailTemplates');
+
+// Fields checked by the fuzzy fallback and highlighted in results
+const SEARCH_FIELDS = ['title', 'location.address', 'location.city', 'location.state'];
+const HIGHLIGHT_FIELDS = ['title', 'description', 'location.address', 'location.city', 'location.state'];
+const MAX_TOKENS = 8;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 120;
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenize = keywords => String(keywords)
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length >= 2)
+  .slice(0, MAX_TOKENS);
+
+// Regex source matching the token as a word prefix, allowing one typo
+// (missing, extra, wrong or swapped letter) for tokens of five letters or more
+const fuzzyPattern = (token) => {
+  const variants = new Set([escapeRegex(token)]);
+
+  if (token.length >= 5) {
+    for (let i = 0; i <= token.length; i += 1) {
+      const before = escapeRegex(token.slice(0, i));
+      if (i < token.length) {
+        variants.add(before + escapeRegex(token.slice(i + 1)));
+        variants.add(`${before}.${escapeRegex(token.slice(i + 1))}`);
+      }
+      if (i < token.length - 1) {
+        variants.add(before + escapeRegex(token[i + 1] + token[i] + token.slice(i + 2)));
+      }
+      variants.add(`${before}.${escapeRegex(token.slice(i))}`);
+    }
+  }
+
+  return `\\b(?:${[...variants].join('|')})`;
+};
+
+// Pattern used to mark matched terms in text-search results; trimming a letter
+// off longer words lets "villas" highlight "villa" the way $text stemming matches it
+const stemPattern = token => `\\b${escapeRegex(token.length > 4 ? token.slice(0, -1) : token)}`;
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), doc);
+
+// Wrap matches in <mark>, escaping the rest; long descriptions are cut to a snippet
+const highlightText = (text, regex, snippet) => {
+  if (typeof text !== 'string' || !text) return null;
+
+  regex.lastIndex = 0;
+  const first = regex.exec(text);
+  if (!first) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (snippet) {
+    start = Math.max(0, first.index - SNIPPET_BEFORE);
+    end = Math.min(text.length, first.index + SNIPPET_AFTER);
+  }
+
+  let result = '';
+  let cursor = start;
+  regex.lastIndex = start;
+  let match = regex.exec(text);
+  while (match && match.index < end) {
+    const matchEnd = Math.min(match.index + match[0].length, end);
+    result += `${escapeHtml(text.slice(cursor, match.index))}<mark>${escapeHtml(text.slice(match.index, matchEnd))}</mark>`;
+    cursor = matchEnd;
+    if (match[0].length === 0) regex.lastIndex += 1;
+    match = regex.exec(text);
+  }
+  result += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${result}${end < text.length ? '…' : ''}`;
+};
+
+// No patterns (e.g. $text matched on a one-letter word) means nothing to mark,
+// rather than an empty alternation that marks every word
+const buildHighlights = (doc, patterns) => {
+  if (!patterns.length) return {};
+
+  const regex = new RegExp(`(?:${patterns.join('|')})\\w*`, 'gi');
+  return HIGHLIGHT_FIELDS.reduce((highlights, field) => {
+    const marked = highlightText(getPath(doc, field), regex, field === 'description');
+    if (marked) highlights[field] = marked;
+    return highlights;
+  }, {});
+};
+
+const withCondition = (query, condition) => ({
+  ...query,
+  $and: [...(query.$and || []), condition]
+});
+
+// Keyword search over listings already narrowed by `query`.
+// Uses the $text index first and falls back to fuzzy matching on title and
+// locality names when that finds nothing, so typos and partial words still work.
+// Resolves { properties, total, mode, condition } where condition is the keyword
+// clause to reuse (e.g. for facets) and mode is 'text' or 'fuzzy'.
+const keywordSearch = async ({ query, keywords, sortStage, page, limit }) => {
+  const tokens = tokenize(keywords);
+  const relevance = !Object.keys(sortStage).length || sortStage.relevance;
+  // Featured listings come first whatever the order
+  const order = { featured: -1, ...(relevance ? { score: -1, createdAt: -1 } : sortStage) };
+  const pageStages = [
+    { $sort: order },
+    { $skip: (page - 1) * limit },
+    { $limit: limit * 1 }
+  ];
+
+  const textCondition = { $text: { $search: keywords } };
+  const textQuery = { ...textCondition, ...query };
+  const textTotal = await Property.countDocuments(textQuery);
+
+  let properties;
+  let total;
+  let mode;
+  let condition;
+  let patterns;
+
+  if (textTotal > 0 || !tokens.length) {
+    mode = 'text';
+    condition = textCondition;
+    total = textTotal;
+    patterns = tokens.map(stemPattern);
+    properties = await Property.aggregate([
+      { $match: textQuery },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      ...pageStages
+    ]);
+  } else {
+    mode = 'fuzzy';
+    patterns = tokens.map(fuzzyPattern);
+    condition = {
+      $or: SEARCH_FIELDS.reduce((clauses, field) => clauses.concat(
+        patterns.map(pattern => ({ [field]: { $regex: pattern, $options: 'i' } }))
+      ), [])
+    };
+
+    const fuzzyQuery = withCondition(query, condition);
+    total = await Property.countDocuments(fuzzyQuery);
+    properties = await Property.aggregate([
+      { $match: fuzzyQuery },
+      {
+        // Rank by how many of the search words matched somewhere
+        $addFields: {
+          score: {
+            $add: patterns.map(pattern => ({
+              $cond: [
+                {
+                  $or: SEARCH_FIELDS.map(field => ({
+                    $regexMatch: { input: { $ifNull: [`$${field}`, ''] }, regex: pattern, options: 'i' }
+                  }))
+                },
+                1,
+                0
+              ]
+            }))
+          }
+        }
+      },
+      ...pageStages
+    ]);
+  }
+
+  await Property.populate(properties, { path: 'owner', select: 'name email phone' });
+
+  properties.forEach((property) => {
+    property.highlights = buildHighlights(property, patterns);
+  });
+
+  return { properties, total, mode, condition };
+};
+
+module.exports = {
+  tokenize,
+  fuzzyPattern,
+  highlightText,
+  keywordSearch
+};
@@ -0,0 +1,212 @@
+const Property = require('../models/Property');
+const User = require('../models/User');
+const { buildPropertyFilter, toList } = require('../utils/propertyQuery');
+const { cityPattern } = require('./localities');
+const { sendEmail, clientUrl, apiUrl } = require('./mailer');
+const { escapeHtml } = require('./emailTemplates');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatPrice = price => `₹${Number(price).toLocaleString('en-IN')}`;
+
+const describeSearch = (search) => {
+  if (search.query) return `"${search.query}"`;
+
+  const filters = search.filters || {};
+  const parts = [
+    filters.bedrooms && `${filters.bedrooms} BHK`,
+    filters.propertyType,
+    filters.listingType && `for ${filters.listingType}`,
+    filters.city && `in ${filters.city}`
+  ];
+  return parts.filter(Boolean).join(' ') || 'your saved search';
+};
+
+const unsubscribeLink = search =>
+  apiUrl(`/api/users/saved-searches/${search._id}/unsubscribe?token=${search.unsubscribeToken}`);
+
+const renderListings = properties => properties.map(property => ({
+  text: `- ${property.title} (${formatPrice(property.price)}, ${property.location.city}): ${clientUrl(`/properties/${property._id}`)}`,
+  html: `<li><a href="${clientUrl(`/properties/${property._id}`)}">${escapeHtml(property.title)}</a> &ndash; ${formatPrice(property.price)}, ${escapeHtml(property.location.city)}</li>`
+}));
+
+// Render one email section per saved search with its matching listings
+const renderSections = (sections) => {
+  const text = [];
+  const html = [];
+
+  sections.forEach(({ search, properties }) => {
+    const listings = renderListings(properties);
+    text.push(
+      `New listings for ${describeSearch(search)}:`,
+      ...listings.map(listing => listing.text),
+      `Stop these alerts: ${unsubscribeLink(search)}`,
+      ''
+    );
+    html.push(
+      `<h3>New listings for ${escapeHtml(describeSearch(search))}</h3>`,
+      `<ul>${listings.map(listing => listing.html).join('')}</ul>`,
+      `<p><a href="${unsubscribeLink(search)}">Stop these alerts</a></p>`
+    );
+  });
+
+  return { text: text.join('\n'), html: html.join('\n') };
+};
+
+const listIncludes = (value, item) => toList(value)
+  .some(entry => entry.toLowerCase() === String(item).toLowerCase());
+
+// Cheap in-memory check on listing type, property type, city and price, so only
+// searches that could match the listing cost a database query
+const mayMatchSavedSearch = (search, property) => {
+  const filters = search.filters || {};
+  const price = Number(property.price);
+
+  if (filters.listingType && !listIncludes(filters.listingType, property.listingType)) return false;
+  if (filters.propertyType && !listIncludes(filters.propertyType, property.propertyType)) return false;
+  if (filters.city && !cityPattern(filters.city).test(property.location.city)) return false;
+  // Malformed bounds are left for the full check to reject
+  if (filters.minPrice && price < Number(filters.minPrice)) return false;
+  if (filters.maxPrice && price > Number(filters.maxPrice)) return false;
+  return true;
+};
+
+// Check whether an active listing satisfies a saved search's keyword and filters
+const matchesSavedSearch = async (search, property) => {
+  let filter;
+  try {
+    filter = buildPropertyFilter(search.filters || {});
+  } catch (error) {
+    // Saved filters that no longer parse simply never match
+    return false;
+  }
+
+  filter._id = property._id;
+  filter.status = 'active';
+  if (search.query) filter.$text = { $search: search.query };
+
+  return Boolean(await Property.exists(filter));
+};
+
+// Match a listing that just became active against every saved search with alerts on.
+// Instant alerts are emailed straight away, daily ones are queued for the digest.
+const processNewListing = async (property) => {
+  const users = User.find({
+    _id: { $ne: property.owner },
+    savedSearches: { $elemMatch: { alertFrequency: { $in: ['instant', 'daily'] } } }
+  })
+    .select('name email savedSearches')
+    .cursor();
+
+  for await (const user of users) {
+    try {
+      const instant = [];
+
+      for (const search of user.savedSearches) {
+        if (search.alertFrequency === 'off') continue;
+        if (!mayMatchSavedSearch(search, property)) continue;
+        if (!(await matchesSavedSearch(search, property))) continue;
+
+        if (search.alertFrequency === 'instant') {
+          instant.push({ search, properties: [property] });
+          await User.updateOne(
+            { _id: user._id, 'savedSearches._id': search._id },
+            { $set: { 'savedSearches.$.lastNotifiedAt': new Date() } }
+          );
+        } else {
+          await User.updateOne(
+            { _id: user._id, 'savedSearches._id': search._id },
+            { $addToSet: { 'savedSearches.$.pendingMatches': property._id } }
+          );
+        }
+      }
+
+      if (instant.length) {
+        const { text, html } = renderSections(instant);
+        await sendEmail({
+          to: user.email,
+          subject: `New listing matching ${describeSearch(instant[0].search)}`,
+          text: `Hi ${user.name},\n\n${text}`,
+          html: `<p>Hi ${escapeHtml(user.name)},</p>${html}`
+        });
+      }
+    } catch (error) {
+      console.error(`Search alert failed for user ${user._id}:`, error.message);
+    }
+  }
+};
+
+// Email each user one digest covering their daily saved searches that are due,
+// i.e. last notified over a day ago. Meant to run often (hourly), so restarts
+// don't hold digests back.
+const sendDailyDigests = async (now = new Date()) => {
+  const dueBefore = new Date(now.getTime() - DAY);
+  const isDue = search => !search.lastNotifiedAt || search.lastNotifiedAt <= dueBefore;
+
+  const users = User.find({
+    savedSearches: {
+      $elemMatch: {
+        alertFrequency: 'daily',
+        'pendingMatches.0': { $exists: true },
+        lastNotifiedAt: { $not: { $gt: dueBefore } }
+      }
+    }
+  })
+    .select('name email savedSearches')
+    .cursor();
+
+  for await (const user of users) {
+    try {
+      const sections = [];
+      const searches = user.savedSearches.filter(
+        search => search.alertFrequency === 'daily' && search.pendingMatches.length && isDue(search)
+      );
+
+      for (const search of searches) {
+        // Listings may have gone off the market since they were queued
+        const properties = await Property.find({
+          _id: { $in: search.pendingMatches },
+          status: 'active'
+        }).select('title price location');
+
+        if (properties.length) sections.push({ search, properties });
+      }
+
+      if (sections.length) {
+        const { text, html } = renderSections(sections);
+        await sendEmail({
+          to: user.email,
+          subject: 'Your daily property alerts',
+          text: `Hi ${user.name},\n\n${text}`,
+          html: `<p>Hi ${escapeHtml(user.name)},</p>${html}`
+        });
+      }
+
+      // Only clear what was read, so matches queued meanwhile wait for tomorrow
+      await Promise.all(searches.map(search => User.updateOne(
+        { _id: user._id, 'savedSearches._id': search._id },
+        {
+          $pullAll: { 'savedSearches.$.pendingMatches': search.pendingMatches },
+          $set: { 'savedSearches.$.lastNotifiedAt': new Date() }
+        }
+      )));
+    } catch (error) {
+      console.error(`Daily digest failed for user ${user._id}:`, error.message);
+    }
+  }
+};
+
+// Fire-and-forget wrapper for routes, so alerts never delay or fail the response
+const notifyNewListing = (property) => {
+  processNewListing(property).catch((error) => {
+    console.error(`Search alerts failed for property ${property._id}:`, error.message);
+  });
+};
+
+module.exports = {
+  mayMatchSavedSearch,
+  matchesSavedSearch,
+  processNewListing,
+  sendDailyDigests,
+  notifyNewListing
+};
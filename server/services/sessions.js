@@ -0,0 +1,126 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Error for refresh tokens that are unknown, expired, revoked or reused
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = 401;
+  }
+}
+
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens are `<sessionId>.<secret>` so lookups don't need the raw secret
+const buildRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const tokenResponse = (user, session, secret) => ({
+  token: signAccessToken(user, session),
+  refreshToken: buildRefreshToken(session, secret),
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a session for a freshly authenticated user and return its token pair
+const createSession = async (user, req) => {
+  const { token: secret, hashed } = generateToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashed,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return tokenResponse(user, session, secret);
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).populate('user');
+  if (!session || session.revokedAt || session.expiresAt < new Date() || !session.user) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const presented = hashToken(secret);
+  const now = new Date();
+  const { token: nextSecret, hashed } = generateToken();
+
+  // Swap the token only while it is still the one presented, so of two
+  // refreshes racing with the same token only one gets a new pair
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presented, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousTokenHash: presented,
+        refreshTokenHash: hashed,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        ...(req ? { userAgent: req.get('user-agent'), ip: req.ip } : {})
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // An already-rotated token coming back means it leaked; kill the session
+    await Session.updateOne(
+      { _id: session._id, previousTokenHash: presented, revokedAt: null },
+      { revokedAt: now, revokedReason: 'refresh-token-reuse' }
+    );
+    throw new SessionError('Invalid refresh token');
+  }
+
+  return tokenResponse(session.user, rotated, nextSecret);
+};
+
+const revokeSession = (sessionId, userId, reason = 'logout') => Session.updateOne(
+  { _id: sessionId, user: userId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Revoke every session of a user, e.g. after a password reset or role change
+const revokeAllSessions = (userId, reason = 'logout-all') => Session.updateMany(
+  { user: userId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+const isSessionActive = sessionId => Session.exists({
+  _id: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+const listActiveSessions = userId => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+  .select('userAgent ip createdAt lastUsedAt expiresAt')
+  .sort('-lastUsedAt');
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  listActiveSessions
+};
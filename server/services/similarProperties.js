@@ -0,0 +1,146 @@
+// "Similar properties" for a listing's detail page.
+// Candidates are active listings of the same listing type within SIMILAR_RADIUS_KM
+// and a price band around the listing, found nearest first through the 2dsphere
+// index. Each one is scored on distance, property type, price, bedrooms and
+// amenity overlap; for a logged-in user, resemblance to their favorites adds a boost.
+
+const Property = require('../models/Property');
+const User = require('../models/User');
+
+const SIMILAR_RADIUS_KM = 15;
+const PRICE_BAND = 0.3;
+const CANDIDATE_LIMIT = 100;
+const FAVORITES_LIMIT = 20;
+
+const WEIGHTS = {
+  distance: 0.3,
+  propertyType: 0.2,
+  price: 0.2,
+  bedrooms: 0.15,
+  amenities: 0.15
+};
+const FAVORITE_BOOST = 0.2;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const amenityOverlap = (a = [], b = []) => {
+  if (!a.length && !b.length) return 1;
+  const union = new Set([...a, ...b]);
+  const shared = a.filter(amenity => b.includes(amenity));
+  return new Set(shared).size / union.size;
+};
+
+const bedroomMatch = (a, b) => {
+  if (typeof a !== 'number' || typeof b !== 'number') return 0;
+  const gap = Math.abs(a - b);
+  if (gap === 0) return 1;
+  return gap === 1 ? 0.5 : 0;
+};
+
+const priceCloseness = (a, b) => {
+  if (!a || !b) return 0;
+  return Math.max(0, 1 - Math.abs(a - b) / (a * PRICE_BAND));
+};
+
+// Feature-by-feature similarity in [0, 1], without distance
+const featureScores = (target, candidate) => ({
+  propertyType: target.propertyType === candidate.propertyType ? 1 : 0,
+  price: priceCloseness(target.price, candidate.price),
+  bedrooms: bedroomMatch(target.bedrooms, candidate.bedrooms),
+  amenities: amenityOverlap(target.amenities, candidate.amenities)
+});
+
+const weighted = scores => Object.keys(scores)
+  .reduce((total, feature) => total + WEIGHTS[feature] * scores[feature], 0);
+
+// Score a candidate found `distance` km away from the target listing
+const scoreSimilarity = (target, candidate, distance, radius = SIMILAR_RADIUS_KM) => {
+  const scores = {
+    distance: Math.max(0, 1 - distance / radius),
+    ...featureScores(target, candidate)
+  };
+  return { score: weighted(scores), scores };
+};
+
+// How closely a candidate resembles the nearest of the user's favorites, in [0, 1]
+const favoriteAffinity = (candidate, favorites) => {
+  const featureWeight = 1 - WEIGHTS.distance;
+  return favorites.reduce(
+    (best, favorite) => Math.max(best, weighted(featureScores(favorite, candidate)) / featureWeight),
+    0
+  );
+};
+
+const loadFavorites = async (user, excludeId) => {
+  if (!user) return [];
+
+  const account = await User.findById(user._id).select('favorites').lean();
+  const favorites = account ? account.favorites : [];
+  const ids = favorites.filter(id => id.toString() !== excludeId.toString()).slice(-FAVORITES_LIMIT);
+  if (!ids.length) return [];
+
+  return Property.find({ _id: { $in: ids }, status: 'active' })
+    .select('propertyType price bedrooms amenities')
+    .lean();
+};
+
+// Ranked similar listings for `property`, leaving out the viewer's own listings
+const findSimilar = async (property, user, { limit = 6, radius = SIMILAR_RADIUS_KM } = {}) => {
+  const query = {
+    _id: { $ne: property._id },
+    status: 'active',
+    listingType: property.listingType,
+    price: {
+      $gte: property.price * (1 - PRICE_BAND),
+      $lte: property.price * (1 + PRICE_BAND)
+    }
+  };
+  if (user) query.owner = { $ne: user._id };
+
+  const [candidates, favorites] = await Promise.all([
+    Property.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: property.location.coordinates.coordinates },
+          distanceField: 'distance',
+          distanceMultiplier: 0.001,
+          maxDistance: radius * 1000,
+          spherical: true,
+          query
+        }
+      },
+      { $limit: CANDIDATE_LIMIT }
+    ]),
+    loadFavorites(user, property._id)
+  ]);
+
+  const ranked = candidates
+    .map((candidate) => {
+      const { score, scores } = scoreSimilarity(property, candidate, candidate.distance, radius);
+      const affinity = favorites.length ? favoriteAffinity(candidate, favorites) : 0;
+      return {
+        ...candidate,
+        similarity: {
+          score: round(score + FAVORITE_BOOST * affinity),
+          distance: round(scores.distance),
+          propertyType: scores.propertyType,
+          price: round(scores.price),
+          bedrooms: scores.bedrooms,
+          amenities: round(scores.amenities),
+          favorites: round(affinity)
+        }
+      };
+    })
+    .sort((a, b) => b.similarity.score - a.similarity.score || a.distance - b.distance)
+    .slice(0, limit);
+
+  await Property.populate(ranked, { path: 'owner', select: 'name email phone' });
+  return ranked;
+};
+
+module.exports = {
+  SIMILAR_RADIUS_KM,
+  scoreSimilarity,
+  favoriteAffinity,
+  findSimilar
+};
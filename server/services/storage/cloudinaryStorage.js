@@ -0,0 +1,50 @@
+const cloudinary = require('cloudinary').v2;
+
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 240;
+
+// Stores files on Cloudinary; thumbnails are served as URL transformations
+class CloudinaryStorage {
+  constructor({
+    cloudName = process.env.CLOUDINARY_CLOUD_NAME,
+    apiKey = process.env.CLOUDINARY_API_KEY,
+    apiSecret = process.env.CLOUDINARY_API_SECRET
+  } = {}) {
+    cloudinary.config({
+      cloud_name: cloudName,
+      api_key: apiKey,
+      api_secret: apiSecret,
+      secure: true
+    });
+  }
+
+  upload(file, { folder = 'misc' } = {}) {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { folder, resource_type: 'image' },
+        (error, result) => {
+          if (error) return reject(error);
+
+          resolve({
+            url: result.secure_url,
+            thumbnail: cloudinary.url(result.public_id, {
+              width: THUMBNAIL_WIDTH,
+              height: THUMBNAIL_HEIGHT,
+              crop: 'fill',
+              secure: true
+            }),
+            public_id: result.public_id
+          });
+        }
+      );
+
+      stream.end(file.buffer);
+    });
+  }
+
+  async remove(publicId) {
+    await cloudinary.uploader.destroy(publicId, { invalidate: true });
+  }
+}
+
+module.exports = CloudinaryStorage;
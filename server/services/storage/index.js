@@ -0,0 +1,50 @@
+const LocalStorage = require('./localStorage');
+const CloudinaryStorage = require('./cloudinaryStorage');
+
+// Storage adapters share the same interface:
+//   upload(file, { folder }) -> { url, thumbnail, public_id }
+//   remove(publicId)
+const adapters = {
+  local: LocalStorage,
+  cloudinary: CloudinaryStorage
+};
+
+let storage;
+
+// STORAGE_DRIVER picks the adapter; local disk is the default for dev and tests
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const Adapter = adapters[driver];
+
+    if (!Adapter) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+
+    storage = new Adapter();
+  }
+  return storage;
+};
+
+// Swap the adapter, e.g. to point tests at a temp directory
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+// Remove every stored image of a property, ignoring assets that are already gone
+const removePropertyAssets = async (property) => {
+  const adapter = getStorage();
+  await Promise.all(
+    (property.images || [])
+      .filter(image => image.public_id)
+      .map(image => adapter.remove(image.public_id).catch(error => {
+        console.error(`Failed to remove asset ${image.public_id}:`, error.message);
+      }))
+  );
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  removePropertyAssets
+};
@@ -0,0 +1,70 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 240;
+
+// File extensions by the format sharp reads from the bytes. The client's filename
+// never decides the extension, since the static mount serves files by it.
+const EXTENSIONS = { jpeg: '.jpg', png: '.png', webp: '.webp' };
+
+// Stores files under server/uploads, served by the static /uploads mount in server.js
+class LocalStorage {
+  constructor({ root, baseUrl = '/uploads' } = {}) {
+    this.root = root || path.join(__dirname, '..', '..', 'uploads');
+    this.baseUrl = baseUrl;
+  }
+
+  async upload(file, { folder = 'misc' } = {}) {
+    const name = crypto.randomBytes(12).toString('hex');
+    const { format } = await sharp(file.buffer).metadata();
+    const ext = EXTENSIONS[format];
+    if (!ext) {
+      throw new Error(`Unsupported image format: ${format}`);
+    }
+    const publicId = `${folder}/${name}`;
+    const dir = path.join(this.root, folder);
+
+    await fs.mkdir(dir, { recursive: true });
+
+    const thumbnail = await sharp(file.buffer)
+      .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'cover' })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+
+    await Promise.all([
+      fs.writeFile(path.join(dir, `${name}${ext}`), file.buffer),
+      fs.writeFile(path.join(dir, `${name}_thumb.jpg`), thumbnail)
+    ]);
+
+    return {
+      url: `${this.baseUrl}/${folder}/${name}${ext}`,
+      thumbnail: `${this.baseUrl}/${folder}/${name}_thumb.jpg`,
+      public_id: publicId
+    };
+  }
+
+  async remove(publicId) {
+    const dir = path.join(this.root, path.dirname(publicId));
+    const name = path.basename(publicId);
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    // Removes the original (whatever its extension) and the thumbnail
+    await Promise.all(
+      entries
+        .filter(entry => entry === `${name}_thumb.jpg` || path.parse(entry).name === name)
+        .map(entry => fs.unlink(path.join(dir, entry)))
+    );
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,55 @@
+const VisitSlot = require('../models/VisitSlot');
+const Lead = require('../models/Lead');
+const { sendTemplate, clientUrl } = require('./mailer');
+
+const formatWhen = date => new Date(date).toLocaleString('en-IN', {
+  timeZone: process.env.TIMEZONE || 'Asia/Kolkata',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// Atomically take a free, future slot for a visit; resolves null if it is gone
+const claimSlot = (slotId, propertyId, visitId) => VisitSlot.findOneAndUpdate(
+  { _id: slotId, property: propertyId, visit: null, start: { $gt: new Date() } },
+  { visit: visitId },
+  { new: true }
+);
+
+const releaseSlot = visit => VisitSlot.updateOne(
+  { _id: visit.slot, visit: visit._id },
+  { visit: null }
+);
+
+// Email one side of a visit; expects property, seeker and owner to be populated
+const notifyVisit = async (visit, recipient, headline, note) => {
+  try {
+    await sendTemplate('visitUpdate', recipient.email, {
+      name: recipient.name,
+      headline,
+      propertyTitle: visit.property.title,
+      when: formatWhen(visit.start),
+      note,
+      link: clientUrl(`/visits/${visit._id}`)
+    });
+  } catch (error) {
+    console.error(`Visit email failed for visit ${visit._id}:`, error.message);
+  }
+};
+
+// Move an early-stage lead forward once a visit is confirmed
+const advanceLead = (visit) => Lead.updateOne(
+  {
+    property: visit.property._id || visit.property,
+    seeker: visit.seeker._id || visit.seeker,
+    status: { $in: ['new', 'contacted'] }
+  },
+  { status: 'site-visit', statusChangedAt: new Date() }
+);
+
+module.exports = {
+  formatWhen,
+  claimSlot,
+  releaseSlot,
+  notifyVisit,
+  advanceLead
+};
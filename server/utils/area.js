@@ -0,0 +1,68 @@
+// Area unit conversion. Listings keep the area as entered and also store it
+// normalized to square feet so filters, sorting and price per area compare
+// like with like.
+
+// Square feet per unit
+const SQFT_PER_UNIT = {
+  'sq ft': 1,
+  'sq m': 10.7639,
+  'sq yd': 9,
+  acre: 43560
+};
+
+const AREA_UNITS = Object.keys(SQFT_PER_UNIT);
+
+// Spellings accepted in query strings, e.g. areaUnit=sqm or areaUnit=acres
+const UNIT_ALIASES = {
+  sqft: 'sq ft',
+  sqm: 'sq m',
+  sqyd: 'sq yd',
+  acre: 'acre',
+  acres: 'acre'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// Resolve a unit name or alias, or null when it isn't one we know
+const resolveUnit = (unit) => {
+  const key = String(unit || '').toLowerCase().replace(/[\s._-]+/g, '');
+  return UNIT_ALIASES[key] || null;
+};
+
+const toSqFt = (value, unit = 'sq ft') => value * SQFT_PER_UNIT[unit];
+const fromSqFt = (value, unit = 'sq ft') => value / SQFT_PER_UNIT[unit];
+
+// Normalized area and price per sq ft for a listing's area and price
+const normalizeArea = (area, price) => {
+  if (!area || typeof area.value !== 'number' || !SQFT_PER_UNIT[area.unit || 'sq ft']) {
+    return { areaSqFt: undefined, pricePerSqFt: undefined };
+  }
+
+  const areaSqFt = round(toSqFt(area.value, area.unit || 'sq ft'));
+  return {
+    areaSqFt,
+    pricePerSqFt: areaSqFt > 0 && typeof price === 'number' ? round(price / areaSqFt) : undefined
+  };
+};
+
+// A listing's area and price per area expressed in the unit a client asked for
+const displayArea = (property, unit) => {
+  if (typeof property.areaSqFt !== 'number') return null;
+
+  const value = round(fromSqFt(property.areaSqFt, unit));
+  return {
+    value,
+    unit,
+    pricePerUnit: value > 0 ? round(property.price / value) : null
+  };
+};
+
+module.exports = {
+  SQFT_PER_UNIT,
+  AREA_UNITS,
+  resolveUnit,
+  toSqFt,
+  fromSqFt,
+  normalizeArea,
+  displayArea
+};
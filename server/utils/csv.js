@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV reader and writer
+
+// Spreadsheet apps run text cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Neutralize user-supplied text that would otherwise run as a formula
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo escapeCell's formula guard, so exported files import back unchanged
+const unescapeCell = value => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+// columns: [{ header, value: row => cell }]
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse CSV text into an array of rows (arrays of strings); quoted cells may
+// contain commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows
+    .filter(cells => cells.some(value => value.trim() !== ''))
+    .map(cells => cells.map(unescapeCell));
+};
+
+module.exports = {
+  escapeCell,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,156 @@
+// Facet counts for the search sidebar.
+// Each facet is counted against every active filter except its own, so picking
+// "Villa" still shows how many Apartments the other filters would return.
+
+const { QueryError, toList, parseAreaUnit, buildPropertyFilter } = require('./propertyQuery');
+const { toSqFt } = require('./area');
+
+const DEFAULT_PRICE_BUCKETS = {
+  Sale: [0, 2500000, 5000000, 10000000, 20000000, 50000000],
+  Rent: [0, 10000, 20000, 40000, 75000, 100000]
+};
+const DEFAULT_AREA_BUCKETS = [0, 500, 1000, 1500, 2000, 3000, 5000];
+
+// facet name -> the field it counts and the filter params it owns
+const FACETS = {
+  propertyType: { field: '$propertyType', params: ['propertyType'] },
+  listingType: { field: '$listingType', params: ['listingType'] },
+  bedrooms: { field: '$bedrooms', params: ['bedrooms'], sortByValue: true },
+  furnishing: { field: '$furnishing', params: ['furnishing'] },
+  amenities: { field: '$amenities', params: ['amenities'], unwind: true },
+  city: { field: '$location.city', params: ['city'] },
+  price: { field: '$price', params: ['minPrice', 'maxPrice'], buckets: 'priceBuckets' },
+  area: { field: '$areaSqFt', params: ['minArea', 'maxArea'], buckets: 'areaBuckets' }
+};
+
+const FACET_PARAMS = Object.values(FACETS).reduce((all, facet) => all.concat(facet.params), []);
+
+const omit = (params, keys) => Object.keys(params)
+  .filter(key => !keys.includes(key))
+  .reduce((result, key) => ({ ...result, [key]: params[key] }), {});
+
+const pick = (params, keys) => keys
+  .filter(key => params[key] !== undefined)
+  .reduce((result, key) => ({ ...result, [key]: params[key] }), {});
+
+// `facets=true` asks for all facets, `facets=city,price` for a subset
+const parseRequestedFacets = (value) => {
+  if (!value || value === 'false') return [];
+  if (value === 'true') return Object.keys(FACETS);
+
+  const requested = toList(value);
+  const unknown = requested.filter(name => !FACETS[name]);
+  if (unknown.length) {
+    throw new QueryError(`Unknown facets: ${unknown.join(', ')}`);
+  }
+  return requested;
+};
+
+const parseBoundaries = (value, fallback, name) => {
+  if (!value) return fallback;
+
+  const boundaries = toList(value).map(Number);
+  if (boundaries.some(Number.isNaN) || boundaries.length < 2) {
+    throw new QueryError(`${name} must be a comma separated list of at least two numbers`);
+  }
+  if (boundaries.some((boundary, i) => i > 0 && boundary <= boundaries[i - 1])) {
+    throw new QueryError(`${name} must be in ascending order`);
+  }
+  return boundaries;
+};
+
+const defaultPriceBuckets = (params) => {
+  const listingTypes = params.listingType ? toList(params.listingType) : [];
+  return listingTypes.length === 1 && DEFAULT_PRICE_BUCKETS[listingTypes[0]]
+    ? DEFAULT_PRICE_BUCKETS[listingTypes[0]]
+    : DEFAULT_PRICE_BUCKETS.Sale;
+};
+
+// Filter params that only narrow facets, kept out of the shared $match
+const baseParams = params => omit(params, FACET_PARAMS);
+
+const facetPipeline = (name, params) => {
+  const facet = FACETS[name];
+  const otherParams = FACET_PARAMS.filter(param => !facet.params.includes(param));
+  // areaUnit is needed to read minArea/maxArea in the other facets' filters
+  const pipeline = [{ $match: buildPropertyFilter(pick(params, [...otherParams, 'areaUnit'])) }];
+
+  if (facet.buckets) {
+    let boundaries;
+    let bucketIds;
+    if (name === 'price') {
+      boundaries = parseBoundaries(params.priceBuckets, defaultPriceBuckets(params), 'priceBuckets');
+      bucketIds = boundaries;
+    } else {
+      // Area buckets are given in areaUnit but grouped on the sq ft value
+      const unit = parseAreaUnit(params.areaUnit);
+      boundaries = parseBoundaries(params.areaBuckets, DEFAULT_AREA_BUCKETS, 'areaBuckets');
+      bucketIds = boundaries.map(boundary => toSqFt(boundary, unit));
+    }
+
+    pipeline.push(
+      { $match: { [facet.field.slice(1)]: { $gte: bucketIds[0] } } },
+      {
+        $bucket: {
+          groupBy: facet.field,
+          boundaries: [...bucketIds, Number.MAX_SAFE_INTEGER],
+          output: { count: { $sum: 1 } }
+        }
+      }
+    );
+    return { pipeline, boundaries, bucketIds };
+  }
+
+  if (facet.unwind) pipeline.push({ $unwind: facet.field });
+  pipeline.push(
+    { $match: { [facet.field.slice(1)]: { $ne: null } } },
+    { $group: { _id: facet.field, count: { $sum: 1 } } },
+    { $sort: facet.sortByValue ? { _id: 1 } : { count: -1, _id: 1 } }
+  );
+  return { pipeline };
+};
+
+// Build the $facet stage for the requested facets, plus a formatter for its output
+const buildFacetStage = (params, requested) => {
+  const stage = {};
+  const boundaries = {};
+  const bucketIds = {};
+
+  requested.forEach((name) => {
+    const built = facetPipeline(name, params);
+    stage[name] = built.pipeline;
+    if (built.boundaries) {
+      boundaries[name] = built.boundaries;
+      bucketIds[name] = built.bucketIds;
+    }
+  });
+
+  const format = result => requested.reduce((facets, name) => {
+    const rows = result[name] || [];
+
+    if (boundaries[name]) {
+      const bounds = boundaries[name];
+      facets[name] = bounds.map((min, i) => {
+        const row = rows.find(item => item._id === bucketIds[name][i]);
+        return {
+          min,
+          max: i + 1 < bounds.length ? bounds[i + 1] : null,
+          count: row ? row.count : 0
+        };
+      });
+    } else {
+      facets[name] = rows.map(row => ({ value: row._id, count: row.count }));
+    }
+    return facets;
+  }, {});
+
+  return { stage, format };
+};
+
+module.exports = {
+  FACETS,
+  FACET_PARAMS,
+  parseRequestedFacets,
+  baseParams,
+  buildFacetStage
+};
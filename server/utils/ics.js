@@ -0,0 +1,50 @@
+// Build iCalendar (.ics) files for calendar apps
+
+const formatDate = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape text values per RFC 5545
+const escapeText = value => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+// event: { uid, start, end, summary, description, location, status }
+const buildIcs = (event) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//101acres//Site Visits//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `LOCATION:${escapeText(event.location)}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildIcs
+};
@@ -0,0 +1,58 @@
+// Price change tracking. Each change is appended to Property.priceHistory and
+// a reduction stamps priceReducedAt, which keeps the listing flagged as
+// "price reduced" for PRICE_REDUCED_DAYS.
+
+const PRICE_REDUCED_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Earliest reduction that still counts as recent
+const reducedSince = (now = new Date()) => new Date(now.getTime() - PRICE_REDUCED_DAYS * DAY);
+
+const round = value => Math.round(value * 100) / 100;
+
+// Extra update operations recording a change from the listing's current price,
+// or null when the price stays the same
+const priceChangeUpdate = (property, price, actor) => {
+  if (price === undefined || price === null || price === '') return null;
+
+  const to = Number(price);
+  const from = property.price;
+  if (Number.isNaN(to) || to === from) return null;
+
+  return {
+    $push: {
+      priceHistory: {
+        from,
+        to,
+        changedBy: actor ? actor.id || actor._id : undefined,
+        changedAt: new Date()
+      }
+    },
+    priceReducedAt: to < from ? new Date() : null
+  };
+};
+
+// Details of a recent reduction for display, or null
+const priceReduction = (property, now = new Date()) => {
+  const history = property.priceHistory || [];
+  const last = history[history.length - 1];
+
+  if (!property.priceReducedAt || property.priceReducedAt < reducedSince(now) || !last || last.to >= last.from) {
+    return null;
+  }
+
+  return {
+    from: last.from,
+    to: last.to,
+    amount: last.from - last.to,
+    percent: round(((last.from - last.to) / last.from) * 100),
+    changedAt: last.changedAt
+  };
+};
+
+module.exports = {
+  PRICE_REDUCED_DAYS,
+  reducedSince,
+  priceChangeUpdate,
+  priceReduction
+};
@@ -0,0 +1,272 @@
+// Shared helpers for turning request query params into property filters
+
+const { cityPattern, statePattern, localityPattern } = require('../services/localities');
+const { AREA_UNITS, resolveUnit, toSqFt } = require('./area');
+const { reducedSince } = require('./priceHistory');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Error raised for malformed filter params, reported back as a 400
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+    this.statusCode = 400;
+  }
+}
+
+const toNumber = (value, name) => {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    throw new QueryError(`${name} must be a number`);
+  }
+  return number;
+};
+
+const assertLngLat = (lng, lat) => {
+  if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+    throw new QueryError('Coordinates are out of range');
+  }
+};
+
+// Parse `lat`, `lng` and optional `radius` (km) into a search point
+const parseNearPoint = ({ lat, lng, radius } = {}) => {
+  if (lat === undefined && lng === undefined) return null;
+  if (lat === undefined || lng === undefined) {
+    throw new QueryError('Both lat and lng are required for a location search');
+  }
+
+  const point = {
+    lat: toNumber(lat, 'lat'),
+    lng: toNumber(lng, 'lng'),
+    radius: radius !== undefined ? toNumber(radius, 'radius') : null
+  };
+  assertLngLat(point.lng, point.lat);
+
+  if (point.radius !== null && point.radius <= 0) {
+    throw new QueryError('radius must be greater than 0');
+  }
+
+  return point;
+};
+
+// Parse `bbox=minLng,minLat,maxLng,maxLat` into a GeoJSON polygon
+const parseBoundingBox = (bbox) => {
+  const parts = String(bbox).split(',');
+  if (parts.length !== 4) {
+    throw new QueryError('bbox must be minLng,minLat,maxLng,maxLat');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts.map(part => toNumber(part.trim(), 'bbox'));
+  assertLngLat(minLng, minLat);
+  assertLngLat(maxLng, maxLat);
+
+  if (minLng >= maxLng || minLat >= maxLat) {
+    throw new QueryError('bbox minimum must be lower than maximum');
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+};
+
+// Parse `polygon` given either as a GeoJSON Polygon or an array of [lng, lat] pairs
+const parsePolygon = (polygon) => {
+  let parsed = polygon;
+  if (typeof polygon === 'string') {
+    try {
+      parsed = JSON.parse(polygon);
+    } catch (error) {
+      throw new QueryError('polygon must be valid JSON');
+    }
+  }
+
+  let ring = Array.isArray(parsed) ? parsed : null;
+  if (parsed && parsed.type === 'Polygon' && Array.isArray(parsed.coordinates)) {
+    ring = parsed.coordinates[0];
+  }
+
+  if (!Array.isArray(ring)) {
+    throw new QueryError('polygon must be a GeoJSON Polygon or a list of [lng, lat] points');
+  }
+
+  ring = ring.map((position) => {
+    if (!Array.isArray(position) || position.length < 2) {
+      throw new QueryError('polygon points must be [lng, lat] pairs');
+    }
+    const lng = toNumber(position[0], 'polygon');
+    const lat = toNumber(position[1], 'polygon');
+    assertLngLat(lng, lat);
+    return [lng, lat];
+  });
+
+  // Close the ring if the client left it open
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    ring.push([first[0], first[1]]);
+  }
+
+  if (ring.length < 4) {
+    throw new QueryError('polygon needs at least three distinct points');
+  }
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+// Build the geo constraints (radius, bbox, polygon) on location.coordinates
+const buildGeoConditions = (params = {}) => {
+  const conditions = [];
+  const near = parseNearPoint(params);
+
+  if (near && near.radius !== null) {
+    conditions.push({
+      'location.coordinates': {
+        $geoWithin: {
+          $centerSphere: [[near.lng, near.lat], near.radius / EARTH_RADIUS_KM]
+        }
+      }
+    });
+  }
+
+  if (params.bbox) {
+    conditions.push({
+      'location.coordinates': { $geoWithin: { $geometry: parseBoundingBox(params.bbox) } }
+    });
+  }
+
+  if (params.polygon) {
+    conditions.push({
+      'location.coordinates': { $geoWithin: { $geometry: parsePolygon(params.polygon) } }
+    });
+  }
+
+  return conditions;
+};
+
+// Accept `a,b` strings as well as repeated query params
+const toList = value => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Exact match for a single value, $in for a comma separated list
+const oneOrMany = (value, cast = item => item) => {
+  const values = toList(value).map(cast);
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+// Parse `areaUnit` (sq ft when omitted), the unit area filters and responses use
+const parseAreaUnit = (value) => {
+  if (value === undefined || value === '') return 'sq ft';
+
+  const unit = resolveUnit(value);
+  if (!unit) {
+    throw new QueryError(`areaUnit must be one of: ${AREA_UNITS.join(', ')}`);
+  }
+  return unit;
+};
+
+// Range condition from optional min/max params, or null when neither is set
+const numberRange = (min, max, name, cast = value => value) => {
+  if (!min && !max) return null;
+
+  const range = {};
+  if (min) range.$gte = cast(toNumber(min, `min${name}`));
+  if (max) range.$lte = cast(toNumber(max, `max${name}`));
+  return range;
+};
+
+// Build the Mongo filter for the structured and geo search params
+const buildPropertyFilter = (params = {}) => {
+  const {
+    propertyType,
+    listingType,
+    minPrice,
+    maxPrice,
+    city,
+    state,
+    locality,
+    bedrooms,
+    bathrooms,
+    furnishing,
+    amenities,
+    minArea,
+    maxArea,
+    minPricePerSqFt,
+    maxPricePerSqFt,
+    priceReduced
+  } = params;
+
+  const query = {};
+
+  // Values are cast here because aggregation stages skip mongoose casting
+  if (propertyType) query.propertyType = oneOrMany(propertyType);
+  if (listingType) query.listingType = oneOrMany(listingType);
+  // Places match their canonical name and aliases, so "Bangalore" finds Bengaluru listings
+  if (city) query['location.city'] = cityPattern(city);
+  if (state) query['location.state'] = statePattern(state);
+  if (locality) query['location.locality'] = localityPattern(locality, city);
+  if (bedrooms) query.bedrooms = oneOrMany(bedrooms, value => toNumber(value, 'bedrooms'));
+  if (bathrooms) query.bathrooms = oneOrMany(bathrooms, value => toNumber(value, 'bathrooms'));
+  if (furnishing) query.furnishing = oneOrMany(furnishing);
+  if (amenities) query.amenities = { $in: toList(amenities) };
+  const priceRange = numberRange(minPrice, maxPrice, 'Price');
+  if (priceRange) query.price = priceRange;
+
+  // Area bounds are given in areaUnit and compared against the normalized sq ft value
+  const areaUnit = parseAreaUnit(params.areaUnit);
+  const areaRange = numberRange(minArea, maxArea, 'Area', value => toSqFt(value, areaUnit));
+  if (areaRange) query.areaSqFt = areaRange;
+
+  const pricePerSqFtRange = numberRange(minPricePerSqFt, maxPricePerSqFt, 'PricePerSqFt');
+  if (pricePerSqFtRange) query.pricePerSqFt = pricePerSqFtRange;
+
+  if (priceReduced === 'true') query.priceReducedAt = { $gte: reducedSince() };
+
+  const geoConditions = buildGeoConditions(params);
+  if (geoConditions.length === 1) {
+    Object.assign(query, geoConditions[0]);
+  } else if (geoConditions.length > 1) {
+    query.$and = geoConditions;
+  }
+
+  return query;
+};
+
+// Sort keys that stand for a different stored field
+const SORT_ALIASES = {
+  area: 'areaSqFt'
+};
+
+// Convert a mongoose-style sort string ('-price createdAt') into a $sort stage object
+const parseSort = (sort) => {
+  const stage = {};
+  String(sort)
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .forEach((field) => {
+      const descending = field.startsWith('-');
+      const name = descending ? field.slice(1) : field;
+      stage[SORT_ALIASES[name] || name] = descending ? -1 : 1;
+    });
+  return stage;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  QueryError,
+  parseNearPoint,
+  parseBoundingBox,
+  parsePolygon,
+  toList,
+  parseAreaUnit,
+  buildPropertyFilter,
+  parseSort
+};
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Tokens are emailed in the clear but only their SHA-256 hash is stored
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Generate a random token along with the hash to persist
+const generateToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hashed: hashToken(token) };
+};
+
+module.exports = {
+  hashToken,
+  generateToken
+};
@@ -0,0 +1,50 @@
+// Who may see which listings:
+//   - everyone sees active listings, and sold/rented ones on detail pages or when
+//     a search asks for them with includeClosed=true
+//   - owners see all of their own listings, whatever the status
+//   - admins see everything
+
+const PUBLIC_STATUSES = ['active'];
+const CLOSED_STATUSES = ['sold', 'rented'];
+
+const isAdmin = user => Boolean(user && user.role === 'admin');
+
+const isOwner = (property, user) => {
+  if (!user || !property.owner) return false;
+  const ownerId = property.owner._id || property.owner;
+  return ownerId.toString() === user._id.toString();
+};
+
+// Mongo condition restricting listings to those the user may see
+const visibilityCondition = (user, { includeClosed = false } = {}) => {
+  if (isAdmin(user)) return null;
+
+  const statuses = includeClosed ? [...PUBLIC_STATUSES, ...CLOSED_STATUSES] : PUBLIC_STATUSES;
+  const publicCondition = { status: { $in: statuses } };
+
+  return user ? { $or: [publicCondition, { owner: user._id }] } : publicCondition;
+};
+
+// AND the visibility condition into an existing filter without clobbering its $or/$and
+const applyVisibility = (query, user, options) => {
+  const condition = visibilityCondition(user, options);
+  if (!condition) return query;
+
+  query.$and = [...(query.$and || []), condition];
+  return query;
+};
+
+// Whether a single listing may be shown to the user (detail-page rules)
+const canViewProperty = (property, user) =>
+  isAdmin(user) ||
+  isOwner(property, user) ||
+  [...PUBLIC_STATUSES, ...CLOSED_STATUSES].includes(property.status);
+
+module.exports = {
+  PUBLIC_STATUSES,
+  CLOSED_STATUSES,
+  isOwner,
+  visibilityCondition,
+  applyVisibility,
+  canViewProperty
+};